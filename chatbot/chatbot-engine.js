@@ -0,0 +1,1653 @@
+/* Portfolio chatbot engine: retrieval, intent routing, follow-ups, languages,
+   safety and optional answer providers. Pure functions over the knowledge base,
+   no DOM: chatbot.js uses it in the browser (window.MMChatbotEngine) and the
+   scripts in tests/ under Node. */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MMChatbotEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function normalize(s) {
+    return (s || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Remove very common stop-words; keep it minimal to avoid unexpected behavior
+  const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'on', 'for', 'with', 'is', 'are', 'do', 'does', 'can', 'you', 'i', 'me', 'my', 'his', 'her', 'he', 'she', 'it', 'this', 'that', 'what', 'how', 'about', 'has', 'have', 'was', 'be']);
+
+  function tokenize(s) {
+    return normalize(s).split(' ').filter((w) => w && !STOP_WORDS.has(w));
+  }
+
+  // Lightweight stemmer — strips common suffixes for better matching
+  function stem(word) {
+    if (word.length < 4) return word;
+    return word
+      .replace(/ies$/, 'y')
+      .replace(/ying$/, 'y')
+      .replace(/tion$/, 't')
+      .replace(/sion$/, 's')
+      .replace(/ment$/, '')
+      .replace(/ness$/, '')
+      .replace(/able$/, '')
+      .replace(/ible$/, '')
+      .replace(/ally$/, '')
+      .replace(/ful$/, '')
+      .replace(/ing$/, '')
+      .replace(/ous$/, '')
+      .replace(/ive$/, '')
+      .replace(/ed$/, '')
+      .replace(/er$/, '')
+      .replace(/ly$/, '')
+      .replace(/s$/, '');
+  }
+
+  // Synonym map for common query variations
+  const SYNONYMS = {
+    'job': 'role', 'jobs': 'role', 'position': 'role', 'positions': 'role', 'opening': 'role', 'hire': 'role', 'hiring': 'role', 'employ': 'role', 'work': 'role',
+    'cv': 'resume', 'curriculum': 'resume',
+    'school': 'education', 'study': 'education', 'studied': 'education', 'university': 'education', 'college': 'education', 'degree': 'education',
+    'cert': 'certification', 'certs': 'certification', 'badges': 'certification', 'badge': 'certification', 'credential': 'certification', 'credentials': 'certification',
+    'reach': 'contact', 'connect': 'contact', 'message': 'contact', 'email': 'contact', 'mail': 'contact',
+    'tech': 'skill', 'technologies': 'skill', 'tools': 'skill', 'stack': 'skill', 'proficient': 'skill', 'expertise': 'skill',
+    'project': 'projects', 'portfolio': 'projects', 'built': 'projects', 'build': 'projects',
+    'background': 'experience', 'history': 'experience', 'career': 'experience',
+    'ai': 'ml', 'machine learning': 'ml', 'deep learning': 'ml', 'artificial intelligence': 'ml'
+  };
+
+  function expandSynonyms(tokens) {
+    return tokens.map((t) => SYNONYMS[t] || t);
+  }
+
+  // Question words carry no evidence for retrieval
+  const QUERY_NOISE = new Set(['where', 'when', 'which', 'who', 'why', 'did', 'done', 'know', 'will', 'would', 'could', 'should', 'tell', 'show', 'please']);
+
+  // Index terms: stop-words removed, synonyms folded, then stemmed
+  function analyze(s) {
+    return expandSynonyms(tokenize(s).filter((w) => w.length > 1 && !QUERY_NOISE.has(w))).map(stem);
+  }
+
+  // ---- Languages: detection, query translation and answer labels ----
+  // The KB and every intent pattern are English. A question in another language
+  // is detected from its function words, then rewritten word by word into the
+  // KB's English vocabulary through that language's glossary, so routing,
+  // retrieval and the safety policy run unchanged. Answers use the language's
+  // labels and the KB's `locales` strings, falling back to English.
+
+  // Formatter labels; {name} and {value} are filled in by fill()
+  const LABELS = {
+    highlights: 'Public-safe highlights:',
+    experience: 'Experience (public-safe):',
+    education: 'Education:',
+    publicSafe: 'public-safe',
+    outcome: 'Outcome',
+    approach: 'Approach',
+    reliability: 'Reliability',
+    stack: 'Stack',
+    links: 'Links',
+    projectTip: 'If you want, ask: “Show skills”, “Show experience”, or “How do I contact Matome?”',
+    projects: 'Selected case studies (public-safe):',
+    projectsTip: 'Tip: ask about a specific project (e.g., “Tell me about OCR” or “Tell me about RAG”).',
+    skills: 'Skills summary:',
+    credibility: 'Credibility (public-safe):',
+    proof: 'proof',
+    contact: 'Contact:',
+    email: 'Email',
+    resume: 'Resume',
+    stackFor: 'Stack for {name}: {value}.',
+    outcomeOf: 'Outcome of {name}: {value}',
+    approachFor: 'Approach for {name}: {value}',
+    reliabilityFor: 'Reliability for {name}: {value}',
+    linksFor: 'Links for {name}:',
+    noLinks: '{name} has no public links (public-safe summary only).',
+    appliedIn: 'Projects that apply {name}:',
+    similarTo: 'Projects similar to {name}:',
+    noSimilar: 'No other public project is close to {name}.',
+    proofLinks: 'Public proof links:',
+    noProof: 'no public link',
+    certifications: 'Certifications (public-safe):',
+    fromPage: 'From “{title}”:',
+    readSection: 'Read this section',
+    clarify: 'I’m not sure I understood. Did you mean {value}?',
+    or: 'or'
+  };
+
+  // name: shown in the language picker; speech: SpeechRecognition/SpeechSynthesis locale.
+  // Glossary keys are accent-folded; values are the English words the KB routes on.
+  const LANGUAGES = {
+    en: {
+      name: 'English',
+      speech: 'en-US',
+      stopWords: [...STOP_WORDS, ...QUERY_NOISE, 'tell', 'show'],
+      glossary: {},
+      labels: LABELS,
+      skills: {}
+    },
+    af: {
+      name: 'Afrikaans',
+      speech: 'af-ZA',
+      stopWords: ['die', 'n', 'en', 'van', 'vir', 'met', 'het', 'hy', 'sy', 'hom', 'haar', 'ek', 'jy', 'u', 'dit', 'is', 'was', 'in', 'op', 'of', 'te', 'om', 'aan', 'nie', 'kan', 'sal', 'ook', 'my', 'mnr', 'asseblief', 'graag', 'se'],
+      glossary: {
+        'wat': 'what', 'hoe': 'how', 'wie': 'who', 'waar': 'where', 'watter': 'which', 'hy': 'he', 'sy': 'his', 'dit': 'it', 'daarvan': 'of it', 'hulle': 'they', 'en': 'and', 'ook': 'also', 'meer': 'more',
+        'hallo': 'hello', 'goeiemore': 'good morning', 'goeie more': 'good morning', 'goeiemiddag': 'good afternoon', 'goeienaand': 'good evening',
+        'vertel my van': 'tell me about', 'vertel my oor': 'tell me about', 'vertel': 'tell', 'verduidelik': 'explain', 'oor': 'about', 'wys': 'show',
+        'projek': 'project', 'projekte': 'projects', 'gevallestudie': 'case study', 'gevallestudies': 'case studies', 'werk': 'work', 'gebou': 'built',
+        'vaardighede': 'skills', 'vaardigheid': 'skill', 'tegnologie': 'technology', 'tegnologiee': 'technologies', 'programmering': 'programming', 'programmeertale': 'programming languages', 'kode': 'code',
+        'sertifikaat': 'certification', 'sertifikate': 'certifications', 'sertifisering': 'certification', 'sertifiserings': 'certifications', 'kwalifikasies': 'credentials', 'kentekens': 'badges',
+        'kontak': 'contact', 'kontakbesonderhede': 'contact', 'e pos': 'email', 'epos': 'email', 'bereik': 'reach',
+        'ervaring': 'experience', 'agtergrond': 'background',
+        'opleiding': 'education', 'onderwys': 'education', 'studeer': 'study', 'gestudeer': 'studied', 'universiteit': 'university', 'graad': 'degree', 'gegradueer': 'graduated', 'graad voltooi': 'completed degree',
+        'rol': 'role', 'rolle': 'roles', 'beskikbaar': 'availability', 'beskikbaarheid': 'availability', 'afgelee': 'remote', 'afgelee werk': 'remote', 'op afstand': 'remote', 'werk op afstand': 'remote', 'werk van die huis af': 'remote', 'hibried': 'hybrid', 'hibriede': 'hybrid', 'soek': 'looking for',
+        'uitkoms': 'outcome', 'resultate': 'results', 'impak': 'impact', 'bewys': 'proof', 'skakel': 'link', 'skakels': 'links', 'soortgelyk': 'similar', 'soortgelyke': 'similar', 'betroubaarheid': 'reliability', 'benadering': 'approach',
+        'klient': 'client', 'kliente': 'clients', 'naam van die klient': 'client name', 'vertroulik': 'confidential', 'transkripsie': 'transcript', 'akademiese rekord': 'transcript', 'dissiplinere': 'disciplinary', 'medies': 'medical', 'mediese': 'medical', 'gesondheid': 'health', 'regsake': 'legal'
+      },
+      labels: {
+        highlights: 'Publiek-veilige hoogtepunte:',
+        experience: 'Ervaring (publiek-veilig):',
+        education: 'Opleiding:',
+        publicSafe: 'publiek-veilig',
+        outcome: 'Uitkoms',
+        approach: 'Benadering',
+        reliability: 'Betroubaarheid',
+        stack: 'Tegnologie',
+        links: 'Skakels',
+        projectTip: 'Vra gerus: “Wys vaardighede”, “Wys ervaring” of “Hoe kontak ek Matome?”',
+        projects: 'Geselekteerde gevallestudies (publiek-veilig):',
+        projectsTip: 'Wenk: vra oor ’n spesifieke projek (bv. “Vertel my van OCR” of “Vertel my van RAG”).',
+        skills: 'Opsomming van vaardighede:',
+        credibility: 'Geloofwaardigheid (publiek-veilig):',
+        proof: 'bewys',
+        contact: 'Kontak:',
+        email: 'E-pos',
+        resume: 'CV',
+        stackFor: 'Tegnologie vir {name}: {value}.',
+        outcomeOf: 'Uitkoms van {name}: {value}',
+        approachFor: 'Benadering vir {name}: {value}',
+        reliabilityFor: 'Betroubaarheid van {name}: {value}',
+        linksFor: 'Skakels vir {name}:',
+        noLinks: '{name} het geen publieke skakels nie (slegs ’n publiek-veilige opsomming).',
+        appliedIn: 'Projekte wat {name} toepas:',
+        similarTo: 'Projekte soortgelyk aan {name}:',
+        noSimilar: 'Geen ander publieke projek is soortgelyk aan {name} nie.',
+        proofLinks: 'Publieke bewysskakels:',
+        noProof: 'geen publieke skakel',
+        certifications: 'Sertifikate (publiek-veilig):',
+        fromPage: 'Uit “{title}”:',
+        readSection: 'Lees hierdie afdeling',
+        clarify: 'Ek is nie seker ek verstaan nie. Bedoel jy {value}?',
+        or: 'of'
+      },
+      skills: {
+        ocrComputerVision: 'OCR / Rekenaarvisie',
+        retrievalRag: 'Herwinning (RAG)',
+        backendServices: 'Agterkant / Dienste',
+        shippingDiscipline: 'Lewering en gehalte',
+        embeddedFundamentals: 'Ingebedde grondbeginsels'
+      }
+    },
+    zu: {
+      name: 'isiZulu',
+      speech: 'zu-ZA',
+      stopWords: ['na', 'no', 'ne', 'nga', 'nge', 'ngo', 'ku', 'ka', 'kwa', 'ngi', 'ngicela', 'ngiyacela', 'sicela', 'uma', 'noma', 'kodwa', 'lo', 'le', 'la', 'lezi', 'lokhu', 'ke', 'yi', 'ngu', 'ukuthi', 'ngabe', 'kahle', 'unazo', 'anazo', 'unawo', 'anawo'],
+      glossary: {
+        'yini': 'what', 'kuyini': 'what', 'ini': 'what', 'kanjani': 'how', 'ubani': 'who', 'ngubani': 'who', 'kuphi': 'where', 'yiziphi': 'which', 'iziphi': 'which', 'yena': 'he', 'wakhe': 'his', 'akhe': 'his', 'lakhe': 'his', 'bakhe': 'his', 'futhi': 'also', 'kanye': 'and',
+        'sawubona': 'hello', 'sanibonani': 'hello',
+        'ngitshele': 'tell me about', 'ungitshele': 'tell me about', 'sitshele': 'tell us about', 'chaza': 'explain', 'mayelana': 'about', 'khombisa': 'show',
+        'iphrojekthi': 'project', 'amaphrojekthi': 'projects', 'iphrojekti': 'project', 'amaphrojekti': 'projects', 'umsebenzi': 'work', 'imisebenzi': 'work',
+        'amakhono': 'skills', 'ikhono': 'skill', 'ubuchwepheshe': 'technology', 'ikhodi': 'code',
+        'isitifiketi': 'certification', 'izitifiketi': 'certifications', 'amabheji': 'badges',
+        'xhumana': 'contact', 'ukuxhumana': 'contact', 'ngingamxhumana': 'contact', 'ngixhumane': 'contact', 'ngingamthinta': 'contact', 'imeyili': 'email', 'i imeyili': 'email',
+        'isipiliyoni': 'experience', 'ulwazi lomsebenzi': 'experience', 'ulwazi': 'experience',
+        'imfundo': 'education', 'wafunda': 'studied', 'ufunde': 'studied', 'inyuvesi': 'university', 'iyunivesithi': 'university', 'iziqu': 'degree', 'waphothula': 'graduated', 'uphothule': 'graduated',
+        'indima': 'role', 'amathuba': 'roles', 'ukutholakala': 'availability', 'uyatholakala': 'availability', 'ekude': 'remote', 'ufunani': 'looking for', 'ufuna': 'looking for',
+        'umphumela': 'outcome', 'imiphumela': 'results', 'ubufakazi': 'proof', 'isixhumanisi': 'link', 'izixhumanisi': 'links', 'afanayo': 'similar', 'efanayo': 'similar', 'ukuthembeka': 'reliability', 'indlela': 'approach',
+        'iklayenti': 'client', 'ikhasimende': 'client', 'igama leklayenti': 'client name', 'imfihlo': 'confidential', 'okuyimfihlo': 'confidential', 'ezempilo': 'health', 'impilo': 'health', 'ezomthetho': 'legal'
+      },
+      // Noun prefixes of "with/about" (nga-, nge-, ngo-) and "and" (na-, ne-, no-)
+      // merge with the noun's vowel: ngamakhono → amakhono, nezitifiketi → izitifiketi
+      prefixes: { nga: 'a', nge: 'i', ngo: 'u', na: 'a', ne: 'i', no: 'u' },
+      labels: {
+        highlights: 'Okugqamile (okwomphakathi):',
+        experience: 'Ulwazi lomsebenzi (okwomphakathi):',
+        education: 'Imfundo:',
+        publicSafe: 'okwomphakathi',
+        outcome: 'Umphumela',
+        approach: 'Indlela',
+        reliability: 'Ukuthembeka',
+        stack: 'Ubuchwepheshe',
+        links: 'Izixhumanisi',
+        projectTip: 'Ungabuza: “Amakhono”, “Ulwazi lomsebenzi”, noma “Ngingamxhumana kanjani uMatome?”',
+        projects: 'Amaphrojekthi akhethiwe (okwomphakathi):',
+        projectsTip: 'Icebiso: buza ngephrojekthi ethile (isib., “Ngitshele nge-OCR” noma “Ngitshele nge-RAG”).',
+        skills: 'Isifinyezo samakhono:',
+        credibility: 'Ubufakazi (okwomphakathi):',
+        proof: 'ubufakazi',
+        contact: 'Ukuxhumana:',
+        email: 'I-imeyili',
+        resume: 'I-CV',
+        stackFor: '{name} — ubuchwepheshe: {value}.',
+        outcomeOf: '{name} — umphumela: {value}',
+        approachFor: '{name} — indlela: {value}',
+        reliabilityFor: '{name} — ukuthembeka: {value}',
+        linksFor: '{name} — izixhumanisi:',
+        noLinks: '{name} — azikho izixhumanisi zomphakathi (isifinyezo somphakathi kuphela).',
+        appliedIn: 'Amaphrojekthi asebenzisa {name}:',
+        similarTo: '{name} — amaphrojekthi afanayo:',
+        noSimilar: '{name} — alikho elinye iphrojekthi lomphakathi elifanayo.',
+        proofLinks: 'Izixhumanisi zobufakazi zomphakathi:',
+        noProof: 'asikho isixhumanisi somphakathi',
+        certifications: 'Izitifiketi (okwomphakathi):',
+        fromPage: 'Kusuka ku-“{title}”:',
+        readSection: 'Funda lesi sigaba',
+        clarify: 'Angiqiniseki ukuthi ngikuzwile. Ubusho {value}?',
+        or: 'noma'
+      },
+      skills: {
+        ocrComputerVision: 'I-OCR / Ukubona kwekhompyutha',
+        retrievalRag: 'Ukubuyisa ulwazi (RAG)',
+        backendServices: 'I-backend / Amasevisi'
+      }
+    },
+    fr: {
+      name: 'Français',
+      speech: 'fr-FR',
+      stopWords: ['le', 'la', 'les', 'l', 'un', 'une', 'de', 'des', 'du', 'd', 'et', 'a', 'au', 'aux', 'en', 'est', 'sont', 'il', 'elle', 'son', 'sa', 'ses', 'que', 'qu', 'je', 'j', 'me', 'm', 'moi', 'vous', 'tu', 'te', 't', 'ce', 'cet', 'cette', 'pour', 'par', 'avec', 'dans', 'ne', 'pas', 'y', 's', 'c', 'n', 'fait', 'peut', 'peux', 'pouvez', 'avez', 'quoi', 'svp', 'merci'],
+      glossary: {
+        'quel': 'what', 'quelle': 'what', 'quels': 'what', 'quelles': 'what', 'qu est ce que': 'what', 'comment': 'how', 'qui': 'who', 'pourquoi': 'why', 'il': 'he', 'son': 'his', 'sa': 'his', 'ses': 'his', 'et': 'and', 'aussi': 'also', 'plus': 'more', 'cela': 'it', 'ca': 'that', 'ce projet': 'this project',
+        'bonjour': 'hello', 'salut': 'hi', 'bonsoir': 'good evening',
+        'parle moi de': 'tell me about', 'parlez moi de': 'tell me about', 'parle moi du': 'tell me about the', 'parlez moi du': 'tell me about the', 'explique': 'explain', 'expliquez': 'explain', 'a propos de': 'about', 'sur': 'about', 'montre': 'show', 'montrez': 'show',
+        'projet': 'project', 'projets': 'projects', 'etude de cas': 'case study', 'etudes de cas': 'case studies', 'travail': 'work', 'realisations': 'projects',
+        'competence': 'skill', 'competences': 'skills', 'technologie': 'technology', 'programmation': 'programming', 'langages': 'languages', 'langage': 'language', 'outils': 'tools',
+        'certificat': 'certification', 'certificats': 'certifications', 'attestations': 'credentials',
+        'contacter': 'contact', 'joindre': 'reach', 'coordonnees': 'contact', 'courriel': 'email',
+        'parcours': 'background',
+        'formation': 'education', 'etudes': 'education', 'etudie': 'studied', 'universite': 'university', 'diplome': 'degree', 'obtenu son diplome': 'graduated',
+        'poste': 'role', 'postes': 'roles', 'emploi': 'role', 'disponibilite': 'availability', 'disponible': 'availability', 'teletravail': 'remote', 'a distance': 'remote', 'hybride': 'hybrid', 'cherche': 'looking for',
+        'resultat': 'outcome', 'resultats': 'results', 'preuve': 'proof', 'preuves': 'proof', 'lien': 'link', 'liens': 'links', 'similaire': 'similar', 'similaires': 'similar', 'semblables': 'similar', 'fiabilite': 'reliability', 'approche': 'approach', 'methode': 'method',
+        'nom du client': 'client name', 'noms des clients': 'client names', 'confidentiel': 'confidential', 'accord de confidentialite': 'nda', 'releve de notes': 'transcript', 'releves de notes': 'transcripts', 'disciplinaire': 'disciplinary', 'medicale': 'medical', 'sante': 'health', 'juridique': 'legal'
+      },
+      labels: {
+        highlights: 'Points forts (version publique) :',
+        experience: 'Expérience (version publique) :',
+        education: 'Formation :',
+        publicSafe: 'version publique',
+        outcome: 'Résultat',
+        approach: 'Approche',
+        reliability: 'Fiabilité',
+        stack: 'Technologies',
+        links: 'Liens',
+        projectTip: 'Vous pouvez demander : « Compétences », « Expérience » ou « Comment contacter Matome ? »',
+        projects: 'Études de cas choisies (version publique) :',
+        projectsTip: 'Astuce : posez une question sur un projet précis (par ex. « Parle-moi de l’OCR » ou « Parle-moi du RAG »).',
+        skills: 'Résumé des compétences :',
+        credibility: 'Crédibilité (version publique) :',
+        proof: 'preuve',
+        contact: 'Contact :',
+        email: 'E-mail',
+        resume: 'CV',
+        stackFor: 'Technologies de {name} : {value}.',
+        outcomeOf: 'Résultat de {name} : {value}',
+        approachFor: 'Approche de {name} : {value}',
+        reliabilityFor: 'Fiabilité de {name} : {value}',
+        linksFor: 'Liens pour {name} :',
+        noLinks: '{name} n’a pas de lien public (résumé public uniquement).',
+        appliedIn: 'Projets qui mettent en œuvre {name} :',
+        similarTo: 'Projets similaires à {name} :',
+        noSimilar: 'Aucun autre projet public ne ressemble à {name}.',
+        proofLinks: 'Liens de preuve publics :',
+        noProof: 'pas de lien public',
+        certifications: 'Certifications (version publique) :',
+        fromPage: 'Extrait de « {title} » :',
+        readSection: 'Lire cette section',
+        clarify: 'Je ne suis pas sûr d’avoir compris. Vouliez-vous dire {value} ?',
+        or: 'ou'
+      },
+      skills: {
+        ocrComputerVision: 'OCR / Vision par ordinateur',
+        retrievalRag: 'Recherche augmentée (RAG)',
+        backendServices: 'Backend / Services',
+        shippingDiscipline: 'Rigueur de livraison',
+        embeddedFundamentals: 'Bases de l’embarqué'
+      }
+    }
+  };
+
+  // Lower-case words without accents: "Compétences" and "competences" match alike
+  function fold(s) {
+    return normalize(s).normalize('NFD').replace(/\p{M}/gu, '');
+  }
+
+  const packCache = new Map();
+
+  // Compiled lookups for a language: glossary by folded phrase, marker words for detection
+  function languagePack(lang) {
+    if (!packCache.has(lang)) {
+      const pack = LANGUAGES[lang];
+      const glossary = new Map(Object.entries(pack.glossary).map(([k, v]) => [fold(k), v]));
+      const longest = Math.max(1, ...Array.from(glossary.keys(), (k) => k.split(' ').length));
+      const stopWords = new Set(pack.stopWords.map(fold));
+      const markers = new Set([...stopWords, ...Array.from(glossary.keys()).filter((k) => !k.includes(' '))]);
+      packCache.set(lang, { pack, glossary, longest, stopWords, markers });
+    }
+    return packCache.get(lang);
+  }
+
+  // The glossary entry of a word, trying it without a noun prefix where the language has them
+  function glossaryWord(compiled, word) {
+    if (compiled.glossary.has(word)) return compiled.glossary.get(word);
+    for (const [prefix, vowel] of Object.entries(compiled.pack.prefixes || {})) {
+      if (word.length > prefix.length + 2 && word.startsWith(prefix)) {
+        const base = vowel + word.slice(prefix.length);
+        if (compiled.glossary.has(base)) return compiled.glossary.get(base);
+      }
+    }
+    return null;
+  }
+
+  // Language with the most marker words in the question; `fallback` (the
+  // visitor's chosen language) wins ties and questions with no markers at all
+  function detectLanguage(text, fallback = 'en') {
+    const words = fold(text).split(' ').filter(Boolean);
+    let best = LANGUAGES[fallback] ? fallback : 'en';
+    let bestScore = 0;
+    [best, ...Object.keys(LANGUAGES).filter((l) => l !== best)].forEach((lang) => {
+      const compiled = languagePack(lang);
+      const score = words.filter((w) => compiled.markers.has(w) || glossaryWord(compiled, w)).length;
+      if (score > bestScore) {
+        best = lang;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  // Rewrites a question into the KB's English vocabulary: glossary phrases
+  // (longest first) are replaced, the language's stop-words dropped, and
+  // anything else (names, English terms like "RAG") kept as typed
+  function translateQuery(text, lang) {
+    if (!LANGUAGES[lang] || lang === 'en') return text;
+    const compiled = languagePack(lang);
+    const words = fold(text).split(' ').filter(Boolean);
+    const out = [];
+    let i = 0;
+    while (i < words.length) {
+      let n = Math.min(compiled.longest, words.length - i);
+      for (; n > 1; n -= 1) {
+        if (compiled.glossary.has(words.slice(i, i + n).join(' '))) break;
+      }
+      const phrase = words.slice(i, i + n).join(' ');
+      const english = n > 1 ? compiled.glossary.get(phrase) : glossaryWord(compiled, phrase);
+      if (english) out.push(english);
+      else if (!compiled.stopWords.has(phrase)) out.push(phrase);
+      i += n;
+    }
+    return out.join(' ');
+  }
+
+  const labelCache = new Map();
+
+  // Formatter labels for a language, English where it has no translation
+  function labelsFor(lang) {
+    if (!labelCache.has(lang)) {
+      const pack = LANGUAGES[lang] || LANGUAGES.en;
+      labelCache.set(lang, { ...LABELS, ...pack.labels, skillNames: { ...SKILL_LABELS, ...pack.skills } });
+    }
+    return labelCache.get(lang);
+  }
+
+  function fill(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (_, key) => (vars[key] == null ? '' : vars[key]));
+  }
+
+  // The KB's strings for a language (kb.locales[lang]); missing keys fall back to the English KB
+  function localeStrings(kb, lang) {
+    return (lang !== 'en' && kb?.locales?.[lang]) || {};
+  }
+
+  // BM25 retrieval index over KB passages, built once per knowledge base.
+  // Each passage keeps a pointer back to the KB entry it came from so answers
+  // can cite it.
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+  const FIELD_BOOSTS = { title: 2.5, tags: 1.5, body: 1 };
+
+  // Minimum BM25 score for a passage to count as evidence
+  const MIN_FAQ_SCORE = 2.2;
+  const MIN_PROJECT_SCORE = 2.5;
+  const MIN_ENTITY_SCORE = 2;
+  const MIN_INTENT_SCORE = 3;
+  const MIN_DOCUMENT_SCORE = 4;
+  // Distinct question terms a page section must contain: one common word
+  // ("Does he like cats?" and a "What this looks like" heading) is no evidence
+  const MIN_DOCUMENT_TERMS = 2;
+  // How far a page section must outscore the best KB passage to answer instead
+  const DOCUMENT_MARGIN = 2.5;
+
+  // How sure the engine is of an answer, 0–1. Answers routed by a pattern or an
+  // alias are certain; retrieved ones score on how far the best passage clears
+  // its threshold and how far it leads the runner-up. Below LOW_CONFIDENCE the
+  // engine asks which of its best readings was meant instead of answering.
+  const LOW_CONFIDENCE = 0.5;
+  const HIGH_CONFIDENCE = 0.8;
+  // Share of its threshold a FAQ entry or project must reach to be offered
+  // when nothing answers
+  const NEAR_MISS = 0.7;
+  // Share of the other intent's example score a rival intent must reach for the
+  // question to count as torn between them
+  const RIVAL_CLOSENESS = 0.75;
+
+  function retrievalConfidence(score, min, runnerUp = 0) {
+    const clear = Math.min(1, Math.max(0, (score - min) / min));
+    const lead = Math.max(0, (score - runnerUp) / score);
+    return Number((0.4 + 0.3 * clear + 0.3 * lead).toFixed(2));
+  }
+
+  function confidenceLevel(confidence) {
+    if (confidence >= HIGH_CONFIDENCE) return 'high';
+    return confidence >= LOW_CONFIDENCE ? 'medium' : 'low';
+  }
+
+  function slugify(s) {
+    return normalize(s).replace(/\s+/g, '-');
+  }
+
+  const SKILL_LABELS = {
+    ocrComputerVision: 'OCR / Computer Vision',
+    retrievalRag: 'Retrieval (RAG)',
+    backendServices: 'Backend / Services',
+    shippingDiscipline: 'Shipping discipline',
+    embeddedFundamentals: 'Embedded fundamentals'
+  };
+
+  function collectPassages(kb) {
+    const passages = [];
+    (kb.faq || []).forEach((item) => {
+      if (!item?.q) return;
+      passages.push({ id: `faq:${item.id || slugify(item.q)}`, kind: 'faq', label: item.q, ref: item, fields: { title: item.q, body: item.a } });
+    });
+    (kb.projects || []).forEach((p) => {
+      if (!p?.name) return;
+      const cs = p.caseStudy || {};
+      passages.push({
+        id: `project:${slugify(p.name)}`,
+        kind: 'project',
+        label: p.name,
+        ref: p,
+        fields: {
+          title: p.name,
+          body: [cs.outcome, cs.approach, cs.reliability].filter(Boolean).join(' '),
+          tags: [...(cs.stack || []), ...(p.aliases || [])].join(' ')
+        }
+      });
+    });
+    Object.entries(kb.skills || {}).forEach(([key, items]) => {
+      if (!Array.isArray(items)) return;
+      const label = SKILL_LABELS[key] || key;
+      passages.push({ id: `skills:${key}`, kind: 'skill', label, ref: items, fields: { title: label, body: items.join(' ') } });
+    });
+    (kb.experience || []).forEach((e, i) => {
+      if (!e?.area) return;
+      passages.push({ id: `experience:${i}`, kind: 'experience', label: e.area, ref: e, fields: { title: e.area, body: (e.summary || []).join(' ') } });
+    });
+    (kb.highlights || []).forEach((h, i) => {
+      passages.push({ id: `highlight:${i}`, kind: 'highlight', label: h, ref: h, fields: { body: h } });
+    });
+    (kb.intents || []).forEach((intent) => {
+      if (!intent?.id || !intent.examples?.length) return;
+      passages.push({ id: `intent:${intent.id}`, kind: 'intent', label: intent.id, ref: intent, fields: { title: intent.examples.join(' ') } });
+    });
+    (kb.certifications || []).forEach((c) => {
+      if (!c?.name) return;
+      passages.push({ id: `certification:${slugify(c.name)}`, kind: 'certification', label: c.name, ref: c, fields: { title: c.name } });
+    });
+    return passages;
+  }
+
+  // One passage per section of kb.documents (the site's posts and case-study
+  // pages). They get an index of their own so long page text doesn't shift the
+  // scores the KB's thresholds were tuned on.
+  function collectDocumentPassages(kb) {
+    const passages = [];
+    (kb.documents || []).forEach((doc) => {
+      if (!doc?.url) return;
+      (doc.sections || []).forEach((section) => {
+        if (!section?.text) return;
+        const url = section.anchor ? `${doc.url}#${section.anchor}` : doc.url;
+        passages.push({
+          id: `document:${url}`,
+          kind: 'document',
+          label: section.anchor ? `${doc.title} › ${section.heading}` : doc.title,
+          ref: { doc, section, url },
+          fields: { title: section.heading, body: section.text, tags: doc.title }
+        });
+      });
+    });
+    return passages;
+  }
+
+  function indexPassages(passages) {
+    const postings = new Map(); // term -> [{ doc, tf }]
+    const lengths = [];
+
+    passages.forEach((p, doc) => {
+      const tf = new Map();
+      let len = 0;
+      Object.entries(p.fields).forEach(([field, text]) => {
+        const boost = FIELD_BOOSTS[field] || 1;
+        analyze(text).forEach((term) => {
+          tf.set(term, (tf.get(term) || 0) + boost);
+          len += boost;
+        });
+      });
+      lengths.push(len);
+      tf.forEach((count, term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({ doc, tf: count });
+      });
+    });
+
+    const avgLength = lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1);
+    return { passages, postings, lengths, avgLength };
+  }
+
+  // The KB index, with the documents' own index as `documents`. Spelling
+  // correction only corrects towards KB words: page text is long-form prose,
+  // and its words as targets turn correct English into near neighbours.
+  function buildIndex(kb) {
+    const passages = collectPassages(kb);
+    const documents = collectDocumentPassages(kb);
+    const vocabulary = buildVocabulary(kb, passages);
+    return {
+      ...indexPassages(passages),
+      documents: indexPassages(documents),
+      vocabulary,
+      trigrams: buildTrigrams(vocabulary)
+    };
+  }
+
+  function idf(index, term) {
+    const n = (index.postings.get(term) || []).length;
+    const total = index.passages.length;
+    return Math.log(1 + (total - n + 0.5) / (n + 0.5));
+  }
+
+  // Ranks passages for a query; returns the top-k as { passage, score }
+  function searchIndex(index, text, { k = 5, kinds = null } = {}) {
+    if (!index) return [];
+    const terms = Array.from(new Set(analyze(text)));
+    const scores = new Map();
+    const matched = new Map();
+    terms.forEach((term) => {
+      const list = index.postings.get(term);
+      if (!list) return;
+      const w = idf(index, term);
+      list.forEach(({ doc, tf }) => {
+        const norm = 1 - BM25_B + BM25_B * (index.lengths[doc] / index.avgLength);
+        const s = w * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+        scores.set(doc, (scores.get(doc) || 0) + s);
+        matched.set(doc, (matched.get(doc) || 0) + 1);
+      });
+    });
+    // matched: how many distinct query terms the passage contains
+    return Array.from(scores.entries())
+      .map(([doc, score]) => ({ passage: index.passages[doc], score, matched: matched.get(doc) }))
+      .filter((r) => !kinds || kinds.includes(r.passage.kind))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  function citeSource(source, passage) {
+    return passage ? `${source} · ${passage.label}` : source;
+  }
+
+  function passageRefs(results) {
+    return results.map((r) => ({ id: r.passage.id, label: r.passage.label, score: Number(r.score.toFixed(3)) }));
+  }
+
+  // ---- Spelling correction against the KB vocabulary ----
+
+  const MIN_FUZZY_LENGTH = 4;
+  // Up to this length a correction must keep the first letter ("home" is not "come")
+  const SHORT_WORD_LENGTH = 6;
+  // Up to this length only two swapped letters are corrected ("emial"): one
+  // other edit away, most short words are another real word ("live" and
+  // "line", "visa" and "via", "clean" and "clear")
+  const TRANSPOSITION_ONLY_LENGTH = 5;
+
+  // Everyday English a visitor may use that the KB happens not to: never a typo
+  const COMMON_WORDS = new Set([
+    'able', 'abroad', 'after', 'again', 'also', 'always', 'another', 'answer', 'anyone', 'anything', 'around', 'ask', 'asked',
+    'available', 'availability', 'back', 'before', 'best', 'better', 'big', 'both', 'bring', 'busy', 'came', 'come', 'comes',
+    'company', 'companies', 'contract', 'current', 'currently', 'day', 'days', 'each', 'either', 'else', 'enough', 'ever',
+    'every', 'find', 'first', 'free', 'from', 'full', 'gave', 'get', 'gets', 'give', 'going', 'gone', 'good', 'got', 'great',
+    'happy', 'here', 'hire', 'hired', 'hiring', 'home', 'hour', 'hours', 'into', 'just', 'keen', 'kind', 'last', 'like',
+    'likes', 'long', 'look', 'looks', 'made', 'make', 'makes', 'many', 'maybe', 'more', 'most', 'move', 'much', 'must',
+    'need', 'needs', 'never', 'next', 'nice', 'now', 'offer', 'often', 'one', 'ones', 'only', 'onsite', 'other', 'others',
+    'over', 'own', 'part', 'people', 'person', 'place', 'player', 'players', 'pretty', 'quick', 'quickly', 'rather', 'ready',
+    'real', 'really', 'right', 'same', 'see', 'seen', 'sort', 'start', 'starting', 'still', 'such', 'sure', 'take', 'team',
+    'teams', 'than', 'thanks', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'those', 'time', 'today',
+    'type', 'under', 'very', 'want', 'wants', 'way', 'ways', 'week', 'weeks', 'well', 'went', 'were', 'willing', 'wonder',
+    'year', 'years', 'yes', 'yet', 'your'
+  ]);
+
+  // Words the engine can route on: passage text, intent pattern literals,
+  // synonyms and safety topics. Counts break ties between candidates.
+  function buildVocabulary(kb, passages) {
+    const vocab = new Map();
+    const add = (text) => {
+      normalize(text).split(' ').forEach((w) => {
+        if (w.length >= 3 && /^\p{L}+$/u.test(w)) vocab.set(w, (vocab.get(w) || 0) + 1);
+      });
+    };
+    passages.forEach((p) => Object.values(p.fields).forEach(add));
+    (kb.intents || []).forEach((intent) => (intent.patterns || []).forEach((p) => add(p.replace(/\\[a-z]/gi, ' '))));
+    Object.keys(SYNONYMS).forEach(add);
+    (kb.safety?.disallowedTopics || []).forEach(add);
+    (kb.safety?.categories || []).forEach((c) => (c.patterns || []).forEach((p) => add(p.replace(/\\[a-z]/gi, ' '))));
+    return vocab;
+  }
+
+  // Trigram index over the vocabulary, so only plausible candidates get an edit distance
+  function buildTrigrams(vocab) {
+    const grams = new Map();
+    vocab.forEach((_, word) => {
+      trigrams(word).forEach((g) => {
+        if (!grams.has(g)) grams.set(g, new Set());
+        grams.get(g).add(word);
+      });
+    });
+    return grams;
+  }
+
+  function trigrams(word) {
+    const padded = `  ${word} `;
+    const out = new Set();
+    for (let i = 0; i < padded.length - 2; i += 1) out.add(padded.slice(i, i + 3));
+    return out;
+  }
+
+  // Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+    for (let i = 1; i <= a.length; i += 1) {
+      let rowMin = Infinity;
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, d[i][j]);
+      }
+      if (rowMin > max) return max + 1;
+    }
+    return d[a.length][b.length];
+  }
+
+  // b is a with two neighbouring letters swapped
+  function isTransposition(a, b) {
+    if (a.length !== b.length) return false;
+    const diff = [...a].map((c, i) => i).filter((i) => a[i] !== b[i]);
+    return diff.length === 2 && diff[1] === diff[0] + 1 && a[diff[0]] === b[diff[1]] && a[diff[1]] === b[diff[0]];
+  }
+
+  function correctWord(word, index) {
+    const max = word.length >= 7 ? 2 : 1;
+    const short = word.length <= SHORT_WORD_LENGTH;
+    const candidates = new Map();
+    trigrams(word).forEach((g) => (index.trigrams.get(g) || []).forEach((w) => candidates.set(w, (candidates.get(w) || 0) + 1)));
+
+    let best = null;
+    let ambiguous = false;
+    candidates.forEach((shared, w) => {
+      if (shared < 2 || (short && w[0] !== word[0])) return;
+      if (word.length <= TRANSPOSITION_ONLY_LENGTH && !isTransposition(word, w)) return;
+      const dist = editDistance(word, w, max);
+      if (dist > max) return;
+      const freq = index.vocabulary.get(w);
+      if (!best || dist < best.dist || (dist === best.dist && freq > best.freq)) {
+        ambiguous = Boolean(best) && dist === best.dist && freq === best.freq;
+        best = { word: w, dist, freq };
+      } else if (dist === best.dist && freq === best.freq) {
+        ambiguous = true;
+      }
+    });
+    if (!best) return null;
+    const confidence = Math.max(0, 1 - best.dist / word.length) * (ambiguous ? 0.5 : 1);
+    return { from: word, to: best.word, confidence: Number(confidence.toFixed(2)) };
+  }
+
+  // Below this, a correction is only added next to the original word and the
+  // user is asked "Did you mean …?"
+  const MIN_CORRECTION_CONFIDENCE = 0.8;
+
+  // Rewrites misspelled words in a question. Confident corrections replace the
+  // word; doubtful ones are appended so both spellings are searched.
+  function correctSpelling(text, index) {
+    const words = normalize(text).split(' ').filter(Boolean);
+    const corrections = [];
+    const routed = [];
+    const suggested = [];
+    words.forEach((w) => {
+      const known = index.vocabulary.has(w) || index.postings.has(stem(w)) || index.documents?.postings.has(stem(w)) ||
+        STOP_WORDS.has(w) || QUERY_NOISE.has(w) || COMMON_WORDS.has(w);
+      const fix = known || w.length < MIN_FUZZY_LENGTH || !/^\p{L}+$/u.test(w) ? null : correctWord(w, index);
+      if (!fix) {
+        routed.push(w);
+        suggested.push(w);
+        return;
+      }
+      corrections.push(fix);
+      suggested.push(fix.to);
+      if (fix.confidence >= MIN_CORRECTION_CONFIDENCE) routed.push(fix.to);
+      else routed.push(w, fix.to);
+    });
+    if (!corrections.length) return { text, corrections };
+    return {
+      text: routed.join(' '),
+      corrections,
+      suggestion: corrections.some((c) => c.confidence < MIN_CORRECTION_CONFIDENCE) ? suggested.join(' ') : null
+    };
+  }
+
+  // ---- Safety policy: declared in kb.safety.categories ----
+  // Categories are tried in order against normalized text; the first whose
+  // patterns match (and no `allow` exception does) decides the refusal. `scope`
+  // says what a category screens: the visitor's "question" (default), the
+  // "answer" about to be shown, or "both".
+
+  const LINK_LABELS = { email: 'Email', linkedin: 'LinkedIn', github: 'GitHub', credly: 'Credly', resume: 'Resume' };
+
+  const policyCache = new WeakMap();
+
+  function safetyPolicy(kb) {
+    const safety = kb?.safety;
+    if (!safety) return [];
+    if (!policyCache.has(safety)) {
+      const compile = (list) => (list || []).map((p) => new RegExp(p, 'iu'));
+      policyCache.set(safety, (safety.categories || []).map((category) => ({
+        category,
+        scope: category.scope || 'question',
+        patterns: compile(category.patterns),
+        allow: compile(category.allow)
+      })));
+    }
+    return policyCache.get(safety);
+  }
+
+  // First category that blocks `text` in the given scope ("question" or "answer"), or null
+  function checkSafety(text, kb, scope = 'question') {
+    const t = normalize(text);
+    const rule = safetyPolicy(kb).find((r) => (r.scope === scope || r.scope === 'both')
+      && r.patterns.some((re) => re.test(t))
+      && !r.allow.some((re) => re.test(t)));
+    return rule ? rule.category : null;
+  }
+
+  function refuse(category, kb, entity, lang = 'en') {
+    const links = kb.links || {};
+    const L = labelsFor(lang);
+    const actions = (category.actions || [])
+      .filter((key) => links[key])
+      .map((key) => ({ label: L[key] || LINK_LABELS[key] || key, url: links[key] }));
+    return {
+      a: localeStrings(kb, lang).refusals?.[category.refusal] || kb.safety?.refusals?.[category.refusal] || 'I can’t help with that.',
+      source: 'Safety policy',
+      actions: actions.length ? actions : undefined,
+      entity,
+      policy: category.id,
+      lang
+    };
+  }
+
+  const indexCache = new WeakMap();
+
+  function getIndex(kb) {
+    if (!kb) return null;
+    if (!indexCache.has(kb)) indexCache.set(kb, buildIndex(kb));
+    return indexCache.get(kb);
+  }
+
+  function pickFaqAnswer(text, index) {
+    const results = searchIndex(index, text, { k: 3, kinds: ['faq'] });
+    // Conservative threshold to avoid mismatched answers
+    if (results.length && results[0].score >= MIN_FAQ_SCORE) {
+      const confidence = retrievalConfidence(results[0].score, MIN_FAQ_SCORE, results[1]?.score);
+      return { item: results[0].passage.ref, passage: results[0].passage, results, confidence };
+    }
+    return null;
+  }
+
+  // The only links the widget renders: http(s), mailto and site-relative paths.
+  // "//host" and "/\host" are protocol-relative to browsers, so they are not
+  // site paths. Returns the trimmed URL, or null.
+  function safeHref(url) {
+    const u = String(url || '').trim();
+    if (/^(https?:\/\/|mailto:)[^\s]+$/i.test(u)) return u;
+    if (/^\/(?![/\\])[^\s]*$/.test(u)) return u;
+    return null;
+  }
+
+  // Answers use the widget's Markdown subset: **bold**, [label](url), `code`, lists
+  function mdLink(label, url) {
+    return `[${String(label).replace(/[[\]]/g, '')}](${url})`;
+  }
+
+  function formatHighlights(kb, L = labelsFor('en')) {
+    const lines = [];
+    lines.push(L.highlights);
+    (kb.highlights || []).forEach((h) => lines.push(`- ${h}`));
+    return lines.join('\n');
+  }
+
+  function formatExperience(kb, L = labelsFor('en')) {
+    const lines = [];
+    lines.push(L.experience);
+    (kb.experience || []).forEach((e) => {
+      if (!e?.area) return;
+      lines.push(`- ${e.area}`);
+      (e.summary || []).forEach((s) => lines.push(`  - ${s}`));
+    });
+    return lines.join('\n');
+  }
+
+  function formatEducation(kb, L = labelsFor('en')) {
+    const edu = kb.education || {};
+    const line = edu.status
+      ? `${edu.institution || ''} — ${edu.field || ''}. ${edu.status}.`
+      : edu.approvedLine || '';
+    return `${L.education} ${line}`.trim();
+  }
+
+  function formatProjectCaseStudy(project, L = labelsFor('en')) {
+    const cs = project?.caseStudy || {};
+    const lines = [];
+    lines.push(`**${project?.name || 'Project'}** (${L.publicSafe})`);
+    if (cs.outcome) lines.push(`**${L.outcome}:** ${cs.outcome}`);
+    if (cs.approach) lines.push(`**${L.approach}:** ${cs.approach}`);
+    if (cs.reliability) lines.push(`**${L.reliability}:** ${cs.reliability}`);
+    if (Array.isArray(cs.stack) && cs.stack.length) lines.push(`**${L.stack}:** ${cs.stack.join(', ')}`);
+    if (Array.isArray(cs.links) && cs.links.length) {
+      lines.push(`**${L.links}:**`);
+      cs.links.forEach((l) => {
+        if (l?.label && l?.url) lines.push(`- ${mdLink(l.label, l.url)}`);
+      });
+    }
+    lines.push('');
+    lines.push(L.projectTip);
+    return lines.join('\n');
+  }
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  const aliasCache = new WeakMap();
+
+  // Matches any of a project's `aliases` as whole words in normalized text
+  function aliasPattern(project) {
+    if (!aliasCache.has(project)) {
+      const aliases = (project.aliases || []).map((a) => escapeRegExp(normalize(a))).filter(Boolean);
+      aliasCache.set(project, aliases.length ? new RegExp(`\\b(?:${aliases.join('|')})\\b`, 'u') : null);
+    }
+    return aliasCache.get(project);
+  }
+
+  // { project, confidence, results } for the project a question names, or null
+  function matchProject(text, kb, index) {
+    const t = normalize(text);
+    const projects = kb.projects || [];
+    if (!projects.length) return null;
+
+    // Shortcut routing on the aliases declared per project
+    const aliased = projects.find((p) => aliasPattern(p)?.test(t));
+    if (aliased) return { project: aliased, confidence: 1, results: [] };
+
+    // Ranked match against project names, case-study fields and stack
+    const results = searchIndex(index, text, { k: 3, kinds: ['project'] });
+    if (results.length && results[0].score >= MIN_PROJECT_SCORE) {
+      const confidence = retrievalConfidence(results[0].score, MIN_PROJECT_SCORE, results[1]?.score);
+      return { project: results[0].passage.ref, confidence, results };
+    }
+    return null;
+  }
+
+  function pickProject(text, kb, index) {
+    return matchProject(text, kb, index)?.project || null;
+  }
+
+  function formatProjects(kb, L = labelsFor('en')) {
+    const lines = [];
+    lines.push(L.projects);
+    (kb.projects || []).forEach((p) => {
+      const cs = p.caseStudy || {};
+      lines.push(`- **${p.name}:** ${cs.outcome || ''}`.trim());
+    });
+    lines.push('');
+    lines.push(L.projectsTip);
+    return lines.join('\n');
+  }
+
+  function formatSkills(kb, L = labelsFor('en')) {
+    const s = kb.skills || {};
+    const lines = [];
+    lines.push(L.skills);
+    Object.keys(SKILL_LABELS).forEach((key) => {
+      if (s[key]?.length) lines.push(`- **${L.skillNames[key]}:** ${s[key].join('; ')}`);
+    });
+    return lines.join('\n');
+  }
+
+  function formatCredibility(kb, L = labelsFor('en')) {
+    const lines = [];
+    lines.push(L.credibility);
+    (kb.certifications || []).forEach((c) => {
+      if (c.proof) lines.push(`- ${c.name} (${mdLink(L.proof, c.proof)})`);
+      else lines.push(`- ${c.name}`);
+    });
+    const links = kb?.links || {};
+    if (links.github) lines.push(`- GitHub: ${mdLink(links.github.replace(/^https:\/\//, ''), links.github)}`);
+    if (links.linkedin) lines.push(`- LinkedIn: ${mdLink(links.linkedin.replace(/^https:\/\//, ''), links.linkedin)}`);
+    if (links.credly) lines.push(`- Credly: ${mdLink(links.credly.replace(/^https:\/\//, ''), links.credly)}`);
+    return lines.join('\n');
+  }
+
+  function credibilityActions(kb) {
+    const actions = [];
+    (kb.certifications || []).forEach((c) => {
+      if (c?.name && c?.proof) actions.push({ label: c.name, url: c.proof });
+    });
+    if (kb?.links?.credly) actions.push({ label: 'Credly', url: kb.links.credly });
+    if (kb?.links?.github) actions.push({ label: 'GitHub', url: kb.links.github });
+    if (kb?.links?.linkedin) actions.push({ label: 'LinkedIn', url: kb.links.linkedin });
+    return actions;
+  }
+
+  function formatContact(kb, L = labelsFor('en')) {
+    const links = kb?.links || {};
+    const lines = [L.contact];
+    if (links.email) lines.push(`- ${L.email}: ${mdLink(links.email.replace('mailto:', ''), links.email)}`);
+    if (links.linkedin) lines.push(`- LinkedIn: ${mdLink(links.linkedin.replace(/^https:\/\//, ''), links.linkedin)}`);
+    if (links.github) lines.push(`- GitHub: ${mdLink(links.github.replace(/^https:\/\//, ''), links.github)}`);
+    if (links.credly) lines.push(`- Credly: ${mdLink(links.credly.replace(/^https:\/\//, ''), links.credly)}`);
+    return lines.join('\n');
+  }
+
+  function contactActions(kb, L = labelsFor('en')) {
+    const links = kb?.links || {};
+    const actions = [];
+    if (links.email) actions.push({ label: L.email, url: links.email });
+    if (links.linkedin) actions.push({ label: 'LinkedIn', url: links.linkedin });
+    if (links.github) actions.push({ label: 'GitHub', url: links.github });
+    return actions;
+  }
+
+  // ---- Answer cards: typed payloads the widget renders from KB objects ----
+  // The `a` text stays the full answer (history, non-visual use); `card` lets
+  // the widget show the same KB data as a structured component instead.
+
+  function projectCard(project) {
+    return { type: 'project', project };
+  }
+
+  function certificationsCard(certs, kb) {
+    const links = kb?.links || {};
+    const profiles = [];
+    if (links.credly) profiles.push({ label: 'Credly', url: links.credly });
+    if (links.github) profiles.push({ label: 'GitHub', url: links.github });
+    if (links.linkedin) profiles.push({ label: 'LinkedIn', url: links.linkedin });
+    return { type: 'certifications', certifications: certs, profiles };
+  }
+
+  function skillsCard(kb, keys, L = labelsFor('en')) {
+    const s = kb.skills || {};
+    const groups = keys
+      .filter((key) => s[key]?.length)
+      .map((key) => ({ key, label: L.skillNames[key] || key, items: s[key] }));
+    return { type: 'skills', groups };
+  }
+
+  // ---- Dialogue state: follow-up resolution against the last entity ----
+
+  // Facets a follow-up can ask about; first match wins
+  const FACETS = [
+    { id: 'similar', re: /\b(similar|related|comparable|alike)\b/ },
+    { id: 'links', re: /\b(link|links|repo|repos|github|source|code|url|urls|case stud(y|ies)|read more|proof|verify|verifiable)\b/ },
+    { id: 'stack', re: /\b(stack|tech|technolog(y|ies)|tools?|languages?|frameworks?|built with|use|used|uses)\b/ },
+    { id: 'outcome', re: /\b(outcome|results?|impact|metrics?|accuracy|achieve|achieved)\b/ },
+    { id: 'reliability', re: /\b(reliab\w*|robust\w*|validation|safeguards?|testing|tested)\b/ },
+    { id: 'approach', re: /\b(approach|how|method|design|architecture|pipeline)\b/ },
+    { id: 'projects', re: /\b(projects?|where|applied|examples?)\b/ }
+  ];
+
+  function detectFacet(t) {
+    const hit = FACETS.find((f) => f.re.test(t));
+    return hit ? hit.id : null;
+  }
+
+  // A bare "tell me more": the only follow-up that needs no facet
+  function isElaboration(t) {
+    return /\b(more|elaborate|details|go on)\b/.test(t) && t.split(' ').length <= 5;
+  }
+
+  // Pronouns, elliptical openers ("and the links?") or a bare "tell me more"
+  function isFollowUp(t) {
+    if (/\b(it|its|that|this|they|them|those|these|there|one)\b/.test(t)) return true;
+    if (/^(and|also|what about|how about|then|so)\b/.test(t)) return true;
+    if (isElaboration(t)) return true;
+    return t.split(' ').length <= 4 && Boolean(detectFacet(t));
+  }
+
+  // Entity of the latest bot answer. Answers that change topic drop it; refusals
+  // carry it over so "who was the client?" doesn't break the thread. page (see
+  // pageEntity) stands in when no answer has set one.
+  function dialogueContext(messages, page = null) {
+    const fallback = page?.type ? { entity: page } : null;
+    for (let i = (messages || []).length - 1; i >= 0; i -= 1) {
+      const m = messages[i];
+      if (m?.role === 'bot') return m.entity?.type ? { entity: m.entity } : fallback;
+    }
+    return fallback;
+  }
+
+  function projectEntity(project) {
+    return { type: 'project', id: `project:${slugify(project.name)}`, name: project.name };
+  }
+
+  function lookupEntity(kb, entity) {
+    if (entity.type === 'project') {
+      return (kb.projects || []).find((p) => p?.name && `project:${slugify(p.name)}` === entity.id) || null;
+    }
+    if (entity.type === 'skill') {
+      const key = String(entity.id || '').replace(/^skills:/, '');
+      return Array.isArray(kb.skills?.[key]) ? { key, items: kb.skills[key] } : null;
+    }
+    if (entity.type === 'certification') {
+      const certs = (kb.certifications || []).filter((c) => c?.name);
+      if (!entity.id) return certs.length ? certs : null;
+      const hit = certs.find((c) => `certification:${slugify(c.name)}` === entity.id);
+      return hit ? [hit] : null;
+    }
+    return null;
+  }
+
+  function entityFromId(kb, id) {
+    const [type] = String(id).split(':');
+    if (type === 'project') {
+      const project = lookupEntity(kb, { type, id });
+      return project && !project.nda ? projectEntity(project) : null;
+    }
+    if (type === 'skills') {
+      const skill = lookupEntity(kb, { type: 'skill', id });
+      return skill ? { type: 'skill', id, name: SKILL_LABELS[skill.key] || skill.key } : null;
+    }
+    return null;
+  }
+
+  // What the page at pageUrl is about: the entity id it declares as topic
+  // ("project:…" or "skills:…"), else the public project whose links include
+  // its path (case study, write-up). null for general pages.
+  function pageEntity(kb, pageUrl, topic = '') {
+    if (!kb) return null;
+    if (topic) return entityFromId(kb, topic);
+    let path;
+    try {
+      path = new URL(pageUrl).pathname;
+    } catch (_) {
+      return null;
+    }
+    if (!path || path === '/') return null;
+    const project = (kb.projects || []).find((p) => p?.name && !p.nda && projectLinkActions(p).some((l) => {
+      try {
+        return new URL(l.url).pathname === path;
+      } catch (_) {
+        return false;
+      }
+    }));
+    return project ? projectEntity(project) : null;
+  }
+
+  function projectLinkActions(project) {
+    const links = project?.caseStudy?.links;
+    return Array.isArray(links)
+      ? links.filter((l) => l?.label && l?.url).map((l) => ({ label: l.label, url: l.url }))
+      : [];
+  }
+
+  function answerProjectFacet(project, facet, index, L = labelsFor('en')) {
+    const cs = project.caseStudy || {};
+    const name = project.name;
+    const source = `Projects (case study) · ${name}`;
+    const entity = projectEntity(project);
+    if (facet === 'similar') {
+      // Ranked against this project's own write-up; the topic stays on this project
+      const related = searchIndex(index, [name, cs.outcome, cs.approach, ...(cs.stack || [])].join(' '), { k: 4, kinds: ['project'] })
+        .filter((r) => r.passage.ref !== project && !r.passage.ref.nda)
+        .slice(0, 2);
+      if (!related.length) return { a: fill(L.noSimilar, { name }), source, entity };
+      const lines = [fill(L.similarTo, { name })];
+      related.forEach((r) => lines.push(`- **${r.passage.ref.name}:** ${r.passage.ref.caseStudy?.outcome || ''}`.trim()));
+      const actions = related.flatMap((r) => projectLinkActions(r.passage.ref)).slice(0, 3);
+      return { a: lines.join('\n'), source, actions: actions.length ? actions : undefined, entity, passages: passageRefs(related) };
+    }
+    if (facet === 'stack' && cs.stack?.length) {
+      return { a: fill(L.stackFor, { name, value: cs.stack.join(', ') }), source, entity };
+    }
+    if (facet === 'links') {
+      const actions = projectLinkActions(project);
+      if (!actions.length) {
+        return { a: fill(L.noLinks, { name }), source, entity };
+      }
+      const lines = [fill(L.linksFor, { name })];
+      actions.forEach((l) => lines.push(`- ${mdLink(l.label, l.url)}`));
+      return { a: lines.join('\n'), source, actions, entity };
+    }
+    if (facet === 'outcome' && cs.outcome) return { a: fill(L.outcomeOf, { name, value: cs.outcome }), source, entity };
+    if (facet === 'approach' && cs.approach) return { a: fill(L.approachFor, { name, value: cs.approach }), source, entity };
+    if (facet === 'reliability' && cs.reliability) return { a: fill(L.reliabilityFor, { name, value: cs.reliability }), source, entity };
+    const actions = projectLinkActions(project);
+    return { a: formatProjectCaseStudy(project, L), source, actions: actions.length ? actions : undefined, entity, card: projectCard(project) };
+  }
+
+  function answerSkillFacet(skill, facet, entity, kb, index, L = labelsFor('en')) {
+    const english = SKILL_LABELS[skill.key] || skill.key;
+    const label = L.skillNames[skill.key] || english;
+    if (facet === 'projects' || facet === 'links' || facet === 'stack') {
+      const related = searchIndex(index, `${english} ${skill.items.join(' ')}`, { k: 2, kinds: ['project'] })
+        .filter((r) => !r.passage.ref.nda);
+      if (related.length) {
+        const lines = [fill(L.appliedIn, { name: label })];
+        related.forEach((r) => lines.push(`- **${r.passage.ref.name}:** ${r.passage.ref.caseStudy?.outcome || ''}`.trim()));
+        const actions = related.flatMap((r) => projectLinkActions(r.passage.ref)).slice(0, 3);
+        return { a: lines.join('\n'), source: `Skills · ${english}`, actions: actions.length ? actions : undefined, entity, passages: passageRefs(related) };
+      }
+    }
+    const lines = [`${label}:`];
+    skill.items.forEach((s) => lines.push(`- ${s}`));
+    return { a: lines.join('\n'), source: `Skills · ${english}`, entity, card: skillsCard(kb, [skill.key], L) };
+  }
+
+  function answerCertificationFacet(certs, facet, entity, kb, L = labelsFor('en')) {
+    if (facet === 'links') {
+      const actions = certs.filter((c) => c.proof).map((c) => ({ label: c.name, url: c.proof }));
+      if (kb?.links?.credly) actions.push({ label: 'Credly', url: kb.links.credly });
+      const lines = [L.proofLinks];
+      certs.forEach((c) => lines.push(c.proof ? `- ${mdLink(c.name, c.proof)}` : `- ${c.name} (${L.noProof})`));
+      return { a: lines.join('\n'), source: 'Certifications', actions, entity, card: certificationsCard(certs, kb) };
+    }
+    const lines = [L.certifications];
+    certs.forEach((c) => lines.push(`- ${c.name}`));
+    return { a: lines.join('\n'), source: 'Certifications', actions: credibilityActions(kb), entity, card: certificationsCard(certs, kb) };
+  }
+
+  // Answers questions that lean on the previous turn ("what stack did it use?").
+  // Returns null when the question stands on its own. ownTopic(t) says whether
+  // t, the question without its facet words, is about something else.
+  function resolveFollowUp(text, kb, context, index, L = labelsFor('en'), ownTopic = () => false) {
+    const t = normalize(text);
+    const facet = detectFacet(t);
+    const named = pickProject(text, kb, index);
+
+    // A facet question that names its project explicitly ("what stack did RAG use?")
+    if (named && facet && facet !== 'projects') return answerProjectFacet(named, facet, index, L);
+
+    const entity = context?.entity;
+    if (!entity || named || !isFollowUp(t)) return null;
+    // A pronoun alone doesn't make a follow-up: "Is there a resume I can
+    // download?" asks no facet of the topic, and "How can I contact him about
+    // this?" is a contact question
+    if (!facet && !isElaboration(t)) return null;
+    const rest = facet ? t.replace(new RegExp(FACETS.find((f) => f.id === facet).re.source, 'g'), ' ') : t;
+    if (ownTopic(normalize(rest))) return null;
+
+    const target = lookupEntity(kb, entity);
+    if (!target) return null;
+    if (entity.type === 'project') return answerProjectFacet(target, facet, index, L);
+    if (entity.type === 'skill') return answerSkillFacet(target, facet, entity, kb, index, L);
+    if (entity.type === 'certification') return answerCertificationFacet(target, facet, entity, kb, L);
+    return null;
+  }
+
+  // ---- Intent routing: declared in kb.intents, run by priority ----
+
+  function answerProjectCaseStudy(kb, q) {
+    const match = q.projectMatch();
+    if (!match) return null;
+    const { project } = match;
+    const linkActions = projectLinkActions(project);
+    const passage = q.index.passages.find((p) => p.ref === project);
+    return {
+      a: formatProjectCaseStudy(project, q.labels),
+      source: citeSource(q.intent.source || 'Projects (case study)', passage),
+      actions: linkActions.length ? linkActions : undefined,
+      passages: passageRefs(searchIndex(q.index, q.text, { k: 3 })),
+      entity: projectEntity(project),
+      card: projectCard(project),
+      confidence: match.confidence,
+      alternatives: match.results.slice(0, 2).map((r) => ({ label: r.passage.label, q: `Tell me about ${r.passage.label}` }))
+    };
+  }
+
+  function answerSkills(kb, q) {
+    // A named skill area ("RAG skills") narrows the answer and becomes the topic
+    const area = searchIndex(q.index, q.text, { k: 1, kinds: ['skill'] })[0];
+    if (area && area.score >= MIN_ENTITY_SCORE) {
+      const entity = { type: 'skill', id: area.passage.id, name: area.passage.label };
+      return answerSkillFacet(lookupEntity(kb, entity), null, entity, kb, q.index, q.labels);
+    }
+    return { a: formatSkills(kb, q.labels), card: skillsCard(kb, Object.keys(SKILL_LABELS), q.labels) };
+  }
+
+  function answerCertifications(kb, q) {
+    const cert = searchIndex(q.index, q.text, { k: 1, kinds: ['certification'] })[0];
+    if (cert && cert.score >= MIN_ENTITY_SCORE) {
+      const entity = { type: 'certification', id: cert.passage.id, name: cert.passage.label };
+      return answerCertificationFacet(lookupEntity(kb, entity), 'links', entity, kb, q.labels);
+    }
+    return {
+      a: formatCredibility(kb, q.labels),
+      actions: credibilityActions(kb),
+      entity: { type: 'certification', id: null, name: 'Certifications' },
+      card: certificationsCard(kb.certifications || [], kb)
+    };
+  }
+
+  function answerFaq(kb, q) {
+    const hit = pickFaqAnswer(q.text, q.index);
+    if (!hit) return null;
+    return {
+      a: q.strings.faq?.[hit.item.id] || hit.item.a,
+      source: citeSource(q.intent.source || 'FAQ', hit.passage),
+      passages: passageRefs(hit.results),
+      confidence: hit.confidence,
+      alternatives: hit.results.slice(0, 2).map((r) => ({ label: r.passage.ref.q, q: r.passage.ref.q }))
+    };
+  }
+
+  const DOCUMENT_EXCERPT_CHARS = 420;
+
+  // Whole lines of a section up to about `max` characters; a long first
+  // paragraph is cut at its last full sentence
+  function excerpt(text, max = DOCUMENT_EXCERPT_CHARS) {
+    const lines = [];
+    let used = 0;
+    for (const line of text.split('\n')) {
+      if (lines.length && used + line.length > max) break;
+      lines.push(line);
+      used += line.length;
+    }
+    if (used > max) {
+      const cut = lines[0].slice(0, max);
+      const end = cut.lastIndexOf('. ');
+      lines[0] = end > max / 3 ? cut.slice(0, end + 1) : `${cut.replace(/\s+\S*$/, '')}…`;
+    }
+    return lines;
+  }
+
+  // A section of one of the site's posts or case-study pages, linked by anchor.
+  // Pages only answer when their best section outscores every KB passage by
+  // DOCUMENT_MARGIN, so a question the KB covers at all keeps its curated answer.
+  function answerDocument(kb, q) {
+    const results = searchIndex(q.index.documents, q.text, { k: 3 });
+    const best = results[0];
+    if (!best || best.score < MIN_DOCUMENT_SCORE || best.matched < MIN_DOCUMENT_TERMS) return null;
+    const kbBest = searchIndex(q.index, q.text, { k: 1 })[0];
+    if (kbBest && kbBest.score + DOCUMENT_MARGIN > best.score) return null;
+    const runnerUp = Math.max(kbBest?.score || 0, results[1]?.score || 0);
+    const { doc, section, url } = best.passage.ref;
+    const lines = [fill(q.labels.fromPage, { title: doc.title })];
+    if (section.anchor) lines.push(`**${section.heading}**`);
+    lines.push(...excerpt(section.text));
+    return {
+      a: lines.join('\n'),
+      source: citeSource(q.intent.source || 'Site pages', best.passage),
+      actions: [{ label: q.labels.readSection, url }],
+      passages: passageRefs(results),
+      confidence: retrievalConfidence(best.score, MIN_DOCUMENT_SCORE, runnerUp),
+      alternatives: results.slice(0, 2).map((r) => ({ label: r.passage.label, q: r.passage.ref.section.heading }))
+    };
+  }
+
+  // Fixed text from the intent itself, or a dotted path into the KB (`field`)
+  function answerIntentText(kb, q) {
+    const intent = q.intent;
+    const value = q.strings.intents?.[intent.id]?.text || intent.text || (intent.field ? intent.field.split('.').reduce((o, k) => o?.[k], kb) : '');
+    return typeof value === 'string' && value.trim() ? { a: value } : null;
+  }
+
+  // Bullet list of a KB section (`section`); items are strings or { title, detail, url }
+  function answerIntentList(kb, q) {
+    const intent = q.intent;
+    const items = Array.isArray(kb[intent.section]) ? kb[intent.section] : [];
+    if (!items.length) return null;
+    const lines = [`${q.strings.intents?.[intent.id]?.title || intent.title || intent.section}:`];
+    const actions = [];
+    items.forEach((item) => {
+      if (typeof item === 'string') return lines.push(`- ${item}`);
+      const title = item?.title || item?.name;
+      if (!title) return;
+      const label = item.url ? mdLink(title, item.url) : title;
+      lines.push(item.detail ? `- ${label} — ${item.detail}` : `- ${label}`);
+      if (item.url) actions.push({ label: title, url: item.url });
+    });
+    return { a: lines.join('\n'), actions: actions.length ? actions : undefined };
+  }
+
+  // Formatter names an intent may declare in kb.intents[].formatter
+  const FORMATTERS = {
+    text: answerIntentText,
+    list: answerIntentList,
+    followUp: (kb, q) => resolveFollowUp(q.text, kb, q.context, q.index, q.labels,
+      (t) => answeredByPattern(sortedIntents(kb).filter((intent) => intent !== q.intent), kb, { ...q, t })),
+    projectCaseStudy: answerProjectCaseStudy,
+    highlights: (kb, q) => ({ a: formatHighlights(kb, q.labels) }),
+    projects: (kb, q) => ({ a: formatProjects(kb, q.labels) }),
+    skills: answerSkills,
+    certifications: answerCertifications,
+    contact: (kb, q) => ({ a: formatContact(kb, q.labels), actions: contactActions(kb, q.labels) }),
+    experience: (kb, q) => ({ a: formatExperience(kb, q.labels) }),
+    education: (kb, q) => ({ a: formatEducation(kb, q.labels) }),
+    faq: answerFaq,
+    documents: answerDocument
+  };
+
+  const patternCache = new WeakMap();
+
+  function intentPatterns(intent) {
+    if (!patternCache.has(intent)) {
+      const compiled = [];
+      (intent.patterns || []).forEach((p) => {
+        try {
+          compiled.push(new RegExp(p, 'iu'));
+        } catch (_) {
+          // Invalid patterns are reported by scripts/check-kb.js
+        }
+      });
+      patternCache.set(intent, compiled);
+    }
+    return patternCache.get(intent);
+  }
+
+  // Highest priority first; ties keep KB order
+  function sortedIntents(kb) {
+    return (kb.intents || [])
+      .filter((i) => i?.id && FORMATTERS[i.formatter])
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  function patternMatches(intent, t) {
+    return intentPatterns(intent).some((re) => re.test(t));
+  }
+
+  // An intent fires when a pattern matches, when its examples rank best for the
+  // question (and no pattern-matched intent answers it), or always when it
+  // declares no patterns (its formatter decides).
+  function intentMatches(intent, t, exampleIntent) {
+    if (!intent.patterns?.length) return true;
+    return patternMatches(intent, t) || intent === exampleIntent;
+  }
+
+  // Whether one of these intents matches the question by pattern and answers it
+  function answeredByPattern(intents, kb, q) {
+    return intents.some((intent) => {
+      if (!intent.patterns?.length || !patternMatches(intent, q.t)) return false;
+      q.intent = intent;
+      return Boolean(FORMATTERS[intent.formatter](kb, q)?.a);
+    });
+  }
+
+  // Another intent whose pattern also matches, when it answers the question at
+  // the same level: both in general, since a specific answer beats a general one
+  // ("tell me about the RAG project" isn't torn between the project and the
+  // project list). The question's scores against the two intents' examples then
+  // decide: { torn: true } when they are within RIVAL_CLOSENESS of each other,
+  // the rival with its answer when it clearly scores higher, else null and the
+  // first intent answers. So "How can I contact him about a role?" gets the
+  // contact details, not a choice between them and the work policy. Intents
+  // with `clarify: false` or no examples to offer are never weighed.
+  function rivalIntent(intents, intent, answer, kb, q) {
+    if (answer.entity?.id) return null;
+    for (const rival of intents) {
+      if (rival.clarify === false || !rival.examples?.length || !rival.patterns?.length || !patternMatches(rival, q.t)) continue;
+      q.intent = rival;
+      const out = FORMATTERS[rival.formatter](kb, q);
+      if (!out?.a) continue;
+      if (out.entity?.id) return null;
+      const scores = new Map(searchIndex(q.index, q.text, { k: kb.intents.length, kinds: ['intent'] })
+        .map((r) => [r.passage.ref, r.score]));
+      const a = scores.get(intent) || 0;
+      const b = scores.get(rival) || 0;
+      if (Math.min(a, b) >= RIVAL_CLOSENESS * Math.max(a, b)) return { intent: rival, answer: out, torn: true };
+      return b > a ? { intent: rival, answer: out, torn: false } : null;
+    }
+    return null;
+  }
+
+  // The best two FAQ entries and projects that came within NEAR_MISS of their
+  // thresholds, as clarification options
+  function nearMisses(text, index) {
+    const faq = searchIndex(index, text, { k: 2, kinds: ['faq'] })
+      .map((r) => ({ ratio: r.score / MIN_FAQ_SCORE, label: r.passage.ref.q, q: r.passage.ref.q }));
+    const projects = searchIndex(index, text, { k: 2, kinds: ['project'] })
+      .map((r) => ({ ratio: r.score / MIN_PROJECT_SCORE, label: r.passage.label, q: `Tell me about ${r.passage.label}` }));
+    return [...faq, ...projects]
+      .filter((c) => c.ratio >= NEAR_MISS)
+      .sort((a, b) => b.ratio - a.ratio)
+      .slice(0, 2)
+      .map(({ label, q }) => ({ label, q }));
+  }
+
+  // "Did you mean X or Y?", with each option ({ label, q }) offered as a chip
+  function clarify(options, entity, L) {
+    const unique = options.filter((o, i) => o?.q && options.findIndex((x) => x?.q === o.q) === i);
+    return {
+      a: fill(L.clarify, { value: unique.map((o) => `**${o.label.replace(/\s*\?$/, '')}**`).join(` ${L.or} `) }),
+      source: 'Clarifying question',
+      clarify: unique,
+      entity
+    };
+  }
+
+  // context: { entity } of the previous turn, see dialogueContext().
+  // lang: the visitor's chosen language, used when the question doesn't give its own away.
+  function answerFromKb(text, kb, context = null, { lang: preferred = 'en' } = {}) {
+    const safety = kb.safety || {};
+    const entity = context?.entity || undefined;
+    const index = getIndex(kb);
+    const lang = detectLanguage(text, preferred);
+    const strings = localeStrings(kb, lang);
+
+    // Route on the spell-corrected English reading of the question; doubtful
+    // corrections come back as a suggestion (English questions only, since the
+    // suggestion is in the KB's vocabulary rather than the visitor's words)
+    const spelling = correctSpelling(translateQuery(text, lang), index);
+    const query = spelling.text;
+    const withSuggestion = (out) => (spelling.suggestion && lang === 'en'
+      ? { ...out, suggestion: spelling.suggestion, lang }
+      : { ...out, lang });
+
+    const blocked = checkSafety(text, kb) || checkSafety(query, kb);
+    if (blocked) return refuse(blocked, kb, entity, lang);
+
+    const t = normalize(query);
+    // Examples only decide when they outrank every KB passage for the question
+    const [top, next] = searchIndex(index, query, { k: 2 });
+    const exampleIntent = top?.passage.kind === 'intent' && top.score >= MIN_INTENT_SCORE ? top.passage.ref : null;
+
+    let projectMatch;
+    const q = {
+      text: query,
+      t,
+      index,
+      context,
+      lang,
+      labels: labelsFor(lang),
+      strings,
+      intent: null,
+      projectMatch: () => (projectMatch === undefined ? (projectMatch = matchProject(query, kb, index)) : projectMatch)
+    };
+
+    const intents = sortedIntents(kb);
+    for (const [i, intent] of intents.entries()) {
+      if (!intentMatches(intent, t, exampleIntent)) continue;
+      const byPattern = Boolean(intent.patterns?.length) && patternMatches(intent, t);
+      // Matched by its examples alone, it yields to any later intent whose
+      // pattern matches and answers: "Is there a way to contact him?" shares
+      // a word with a greeting example but is a contact question
+      if (!byPattern && intent === exampleIntent && answeredByPattern(intents.slice(i + 1), kb, q)) continue;
+      q.intent = intent;
+      const first = FORMATTERS[intent.formatter](kb, q) || {};
+      if (!first.a) continue;
+
+      const rival = byPattern && intent.clarify !== false && intent.examples?.length
+        ? rivalIntent(intents.slice(i + 1), intent, first, kb, q)
+        : null;
+      if (rival?.torn) {
+        const option = (it) => ({ label: it.source || it.id, q: it.examples[0] });
+        return withSuggestion(clarify([option(intent), option(rival.intent)], entity, q.labels));
+      }
+      const chosen = rival ? rival.intent : intent;
+      const { alternatives, ...out } = rival ? rival.answer : first;
+      // KB text is screened too, so a careless edit can't publish a blocked term
+      const leak = checkSafety(out.a, kb, 'answer');
+      if (leak) return refuse(leak, kb, entity, lang);
+
+      const confidence = out.confidence ?? (chosen === exampleIntent && !byPattern
+        ? retrievalConfidence(top.score, MIN_INTENT_SCORE, next?.score)
+        : 1);
+      if (confidence < LOW_CONFIDENCE && alternatives?.length) return withSuggestion(clarify(alternatives, entity, q.labels));
+      return withSuggestion({ source: chosen.source || chosen.id, ...out, confidence });
+    }
+
+    // Nothing answered: ask about whatever came close before giving up
+    const near = nearMisses(query, index);
+    if (near.length) return withSuggestion(clarify(near, entity, q.labels));
+
+    return withSuggestion({
+      a: strings.refusals?.unknown || safety.refusals?.unknown || 'I don’t have that detail in my public portfolio notes.',
+      source: 'Safety policy',
+      actions: contactActions(kb, labelsFor(lang)),
+      entity
+    });
+  }
+
+  // ---- Answer providers: alternative answerers behind the KB engine ----
+  // A provider is { id, label?, answer({ question, passages, context, lang }) };
+  // answer returns (or resolves to) { a, citations, lang? } where every citation
+  // is the id of a passage it was given and `lang` the language it answered in
+  // (English, the passages' language, when omitted). The safety policy screens the question before and
+  // the answer after the provider, and answerFromKb is the fallback whenever the
+  // provider throws, times out, cites nothing it was given, or trips the policy.
+
+  const PROVIDER_PASSAGES = 5;
+  const PROVIDER_SECTIONS = 2;
+  const PROVIDER_TIMEOUT_MS = 8000;
+  const providers = new Map();
+
+  function registerProvider(provider) {
+    if (!provider?.id || typeof provider.answer !== 'function') {
+      throw new TypeError('A chatbot provider needs an id and an answer() function');
+    }
+    providers.set(provider.id, provider);
+    return provider;
+  }
+
+  function getProvider(id) {
+    return (id && providers.get(id)) || null;
+  }
+
+  function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Provider gave no answer within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Resolves to the provider's cited answer, or to answerFromKb's when it can't be used
+  async function answerWithProvider(text, kb, context = null, provider = null, { timeoutMs = PROVIDER_TIMEOUT_MS, lang = 'en' } = {}) {
+    const fallback = answerFromKb(text, kb, context, { lang });
+    if (!provider) return fallback;
+
+    const index = getIndex(kb);
+    const query = correctSpelling(translateQuery(text, fallback.lang), index).text;
+    if (checkSafety(text, kb) || checkSafety(query, kb)) return fallback;
+
+    // KB entries first, then any page sections strong enough to answer on their own
+    const sections = searchIndex(index.documents, query, { k: PROVIDER_SECTIONS })
+      .filter((r) => r.score >= MIN_DOCUMENT_SCORE && r.matched >= MIN_DOCUMENT_TERMS);
+    const given = searchIndex(index, query, { k: PROVIDER_PASSAGES + 1 })
+      .filter((r) => r.passage.kind !== 'intent')
+      .slice(0, PROVIDER_PASSAGES)
+      .concat(sections)
+      .map((r) => ({
+        id: r.passage.id,
+        kind: r.passage.kind,
+        label: r.passage.label,
+        text: [r.passage.fields.title, r.passage.fields.body].filter(Boolean).join('\n'),
+        score: r.score,
+        url: r.passage.kind === 'document' ? r.passage.ref.url : undefined
+      }));
+    if (!given.length) return fallback;
+
+    let out;
+    try {
+      out = await withTimeout(Promise.resolve().then(() => provider.answer({ question: text, passages: given, context, lang: fallback.lang })), timeoutMs);
+    } catch (e) {
+      return fallback;
+    }
+
+    const a = typeof out?.a === 'string' ? out.a.trim() : '';
+    const citations = Array.isArray(out?.citations) ? out.citations : [];
+    const ids = new Set(given.map((p) => p.id));
+    if (!a || !citations.length || !citations.every((id) => ids.has(id))) return fallback;
+    if (checkSafety(a, kb, 'answer')) return fallback;
+
+    const cited = given.filter((p) => citations.includes(p.id));
+    const result = {
+      a,
+      source: `${provider.label || provider.id} · ${cited.map((p) => p.label).join(', ')}`,
+      passages: cited.map(({ id, label, score }) => ({ id, label, score })),
+      provider: provider.id,
+      lang: LANGUAGES[out.lang] ? out.lang : 'en'
+    };
+    const pages = cited.filter((p) => p.url);
+    if (pages.length) result.actions = pages.map((p) => ({ label: pages.length === 1 ? labelsFor(result.lang).readSection : p.label, url: p.url }));
+    // Keep the KB's reading of the question so follow-ups and "Did you mean" still work
+    if (fallback.entity) result.entity = fallback.entity;
+    if (fallback.suggestion) result.suggestion = fallback.suggestion;
+    return result;
+  }
+
+  return {
+    FORMATTERS,
+    SKILL_LABELS,
+    LANGUAGES,
+    normalize,
+    safeHref,
+    tokenize,
+    stem,
+    analyze,
+    buildIndex,
+    getIndex,
+    searchIndex,
+    correctSpelling,
+    detectLanguage,
+    translateQuery,
+    checkSafety,
+    pickProject,
+    confidenceLevel,
+    dialogueContext,
+    pageEntity,
+    answerFromKb,
+    registerProvider,
+    getProvider,
+    answerWithProvider
+  };
+});
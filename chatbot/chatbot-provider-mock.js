@@ -0,0 +1,35 @@
+/* Mock answer provider for local testing of the provider interface.
+   Answers extractively from the best passage it is given and cites it, after a
+   short delay. Enable it by loading this file after chatbot-engine.js and
+   setting <html data-chatbot-provider="mock">; tests/ require() it directly. */
+(function (root, factory) {
+  const provider = factory();
+  if (typeof module === 'object' && module.exports) module.exports = provider;
+  else root.MMChatbotEngine?.registerProvider(provider);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DELAY_MS = 300;
+  const MAX_SENTENCES = 2;
+
+  function firstSentences(text, n) {
+    const sentences = String(text || '').replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) || [];
+    return sentences.slice(0, n).join('').trim();
+  }
+
+  return {
+    id: 'mock',
+    label: 'Mock provider',
+    answer({ passages }) {
+      const top = passages[0];
+      // Passage text is the title line, then the body (empty for one-line entries)
+      const body = top.text.split('\n').slice(1).join(' ');
+      const a = body
+        ? `From the portfolio notes on **${top.label}**: ${firstSentences(body, MAX_SENTENCES)}`
+        : `From the portfolio notes: ${firstSentences(top.text, MAX_SENTENCES)}`;
+      return new Promise((resolve) => {
+        setTimeout(() => resolve({ a, citations: [top.id] }), DELAY_MS);
+      });
+    }
+  };
+});
@@ -3,16 +3,50 @@
   'use strict';
 
   // Prefer embedding the knowledge base into the HTML to avoid any network 404s.
-  // Fallback to fetching the JSON file only if the embedded payload is missing.
-  const KNOWLEDGE_URL = 'chatbot/chatbot_knowledge.json';
+  // Pages without the embedded payload fetch the JSON file on first use; it sits
+  // next to this script, so the URL works from any directory.
+  const KNOWLEDGE_URL = new URL('chatbot_knowledge.json', document.currentScript?.src || window.location.href).href;
   const EMBEDDED_KB_ID = 'mm-chatbot-kb';
+  const KB_CACHE_KEY = 'mm-chatbot-kb'; // sessionStorage: the fetched KB, reused by the tab's other pages
+
+  // Answer logic lives in chatbot-engine.js, which must load first.
+  const { answerFromKb, answerWithProvider, getProvider, dialogueContext, pageEntity, getIndex, normalize, safeHref, confidenceLevel, LANGUAGES } = window.MMChatbotEngine || {};
+
+  const HISTORY_KEY = 'mm-chatbot-history';
+  const HISTORY_FORMAT = 2; // 1 was a bare array of messages
+  const HISTORY_LIMIT = 50;
+  const FORGET_KEY = 'mm-chatbot-forget'; // sessionStorage: don't persist this tab's conversation
+  const DEFAULT_RETENTION_DAYS = 30; // override with meta.historyRetentionDays in the KB
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const LANG_KEY = 'mm-chatbot-lang';
+  const SPEAK_KEY = 'mm-chatbot-speak'; // "1" when every answer is read aloud
+
+  const SUBTITLE = 'Grounded in public notes only.';
+  const GREETING = 'Hi. I can answer questions about skills, case studies, credibility, and contact using Matome’s public portfolio notes only.';
+
+  const MAX_SUGGESTIONS = 5;
+
+  // Always offered, after the chips for the current answer and page section
+  const DEFAULT_SUGGESTIONS = [
+    { label: 'What roles are you looking for?', value: 'What roles is Matome looking for?' },
+    { label: 'Show case studies', value: 'Show case studies' },
+    { label: 'Skills summary', value: 'Skills summary' },
+    { label: 'Certifications', value: 'What certifications are publicly verifiable?' },
+    { label: 'Contact', value: 'How do I contact Matome?' }
+  ];
 
   const state = {
     kb: null,
     open: false,
     lastFocus: null,
     messages: [],
-    voiceRecognition: null
+    remember: true,
+    lang: 'en', // chosen in the menu; answers follow the language a question is asked in
+    pending: Promise.resolve(), // answers are produced one after another
+    liveRegion: null,
+    voiceRecognition: null,
+    speakAnswers: false,
+    speech: null // { utterance, button } of the answer being read aloud
   };
 
   function $(sel, root = document) {
@@ -32,395 +66,573 @@
     return n;
   }
 
-  function normalize(s) {
-    return (s || '')
-      .toLowerCase()
-      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
-
-  function tokenize(s) {
-    const t = normalize(s).split(' ').filter(Boolean);
-    // Remove very common stop-words; keep it minimal to avoid unexpected behavior
-    const stop = new Set(['the', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'on', 'for', 'with', 'is', 'are', 'do', 'does', 'can', 'you', 'i', 'me', 'my', 'his', 'her', 'he', 'she', 'it', 'this', 'that', 'what', 'how', 'about', 'has', 'have', 'was', 'be']);
-    return t.filter((w) => !stop.has(w));
-  }
-
-  // Lightweight stemmer — strips common suffixes for better matching
-  function stem(word) {
-    if (word.length < 4) return word;
-    return word
-      .replace(/ies$/, 'y')
-      .replace(/ying$/, 'y')
-      .replace(/tion$/, 't')
-      .replace(/sion$/, 's')
-      .replace(/ment$/, '')
-      .replace(/ness$/, '')
-      .replace(/able$/, '')
-      .replace(/ible$/, '')
-      .replace(/ally$/, '')
-      .replace(/ful$/, '')
-      .replace(/ing$/, '')
-      .replace(/ous$/, '')
-      .replace(/ive$/, '')
-      .replace(/ed$/, '')
-      .replace(/er$/, '')
-      .replace(/ly$/, '')
-      .replace(/s$/, '');
-  }
-
-  // Synonym map for common query variations
-  const SYNONYMS = {
-    'job': 'role', 'jobs': 'role', 'position': 'role', 'positions': 'role', 'opening': 'role', 'hire': 'role', 'hiring': 'role', 'employ': 'role', 'work': 'role',
-    'cv': 'resume', 'curriculum': 'resume',
-    'school': 'education', 'study': 'education', 'studied': 'education', 'university': 'education', 'college': 'education', 'degree': 'education',
-    'cert': 'certification', 'certs': 'certification', 'badges': 'certification', 'badge': 'certification', 'credential': 'certification', 'credentials': 'certification',
-    'reach': 'contact', 'connect': 'contact', 'message': 'contact', 'email': 'contact', 'mail': 'contact',
-    'tech': 'skill', 'technologies': 'skill', 'tools': 'skill', 'stack': 'skill', 'proficient': 'skill', 'expertise': 'skill',
-    'project': 'projects', 'portfolio': 'projects', 'built': 'projects', 'build': 'projects',
-    'background': 'experience', 'history': 'experience', 'career': 'experience',
-    'ai': 'ml', 'machine learning': 'ml', 'deep learning': 'ml', 'artificial intelligence': 'ml'
-  };
-
-  function expandSynonyms(tokens) {
-    return tokens.map((t) => SYNONYMS[t] || t);
-  }
-
-  function overlapScore(aTokens, bTokens) {
-    if (!aTokens.length || !bTokens.length) return 0;
-    const aStemmed = aTokens.map(stem);
-    const bStemmed = bTokens.map(stem);
-    const aExpanded = expandSynonyms(aStemmed);
-    const bExpanded = new Set([...bStemmed, ...expandSynonyms(bStemmed)]);
-    let hit = 0;
-    aExpanded.forEach((t) => { if (bExpanded.has(t)) hit += 1; });
-    // Also check original tokens for exact matches
-    const bOrigSet = new Set(bTokens);
-    aTokens.forEach((t) => { if (bOrigSet.has(t)) hit += 0.5; });
-    return hit / Math.max(aTokens.length, bTokens.length);
-  }
-
-  function isSensitivePrompt(text) {
-    const t = normalize(text);
-    const patterns = [
-      /disciplin/i,
-      /exclusion/i,
-      /registrar/i,
-      /transcript/i,
-      /\bcode(s)?\b/i,
-      /medical/i,
-      /health/i,
-      /legal/i,
-      /case\s+number/i,
-      /\bnda\b.*(client|company|name)/i,
-      /(client|company)\s+name/i
-    ];
-    return patterns.some((re) => re.test(t));
+  // ---- Safe Markdown subset for bot answers ----
+  // Blocks: "#" to "###" headings, "- " / "* " / "1. " list items (two-space
+  // indent nests), blank-line separated paragraphs. Inline: **bold**, *italic*,
+  // `code`, [label](url) and bare URLs. Nodes are built with createElement and
+  // textContent only, so KB content can never inject markup; links survive only
+  // where the engine's safeHref allows them (http(s), mailto, site-relative).
+
+  function linkNode(href, label) {
+    const isMailto = href.startsWith('mailto:');
+    return el('a', {
+      href,
+      ...(isMailto ? {} : { target: '_blank', rel: 'noopener noreferrer' }),
+      text: label
+    });
   }
 
-  function isNdaProbe(text) {
-    const t = normalize(text);
-    return /\bnda\b/i.test(t) || /(client|company)\s+name/i.test(t) || /who\s+was\s+it\s+for/i.test(t);
+  const INLINE_RE = /\*\*([^*]+)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|`([^`]+)`|\*([^*\s][^*]*)\*|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"”’])/g;
+
+  function renderInline(text) {
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    text.replace(INLINE_RE, (match, bold, label, url, code, em, bare, offset) => {
+      if (offset > last) frag.appendChild(document.createTextNode(text.slice(last, offset)));
+      last = offset + match.length;
+      if (bold !== undefined) frag.appendChild(el('strong', {}, [renderInline(bold)]));
+      else if (label !== undefined) {
+        const href = safeHref(url);
+        frag.appendChild(href ? linkNode(href, label) : document.createTextNode(label));
+      } else if (code !== undefined) frag.appendChild(el('code', { text: code }));
+      else if (em !== undefined) frag.appendChild(el('em', {}, [renderInline(em)]));
+      else frag.appendChild(linkNode(bare, bare));
+      return match;
+    });
+    if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+    return frag;
   }
 
-  function pickFaqAnswer(text, faq) {
-    const qTokens = tokenize(text);
-    const candidates = [];
-    for (const item of faq || []) {
-      const s = overlapScore(qTokens, tokenize(item.q));
-      if (s > 0) candidates.push({ item, score: s });
+  function renderMarkdown(text) {
+    const frag = document.createDocumentFragment();
+    const lists = []; // open lists, innermost last: { node, depth }
+    let para = null;
+
+    function closeLists(depth = -1) {
+      while (lists.length && lists[lists.length - 1].depth > depth) lists.pop();
     }
-    // Also try matching against FAQ answer text for better recall
-    for (const item of faq || []) {
-      const s = overlapScore(qTokens, tokenize(item.a));
-      const existing = candidates.find((c) => c.item.id === item.id);
-      if (existing) {
-        existing.score = Math.max(existing.score, s * 0.7); // Discount answer matches slightly
-      } else if (s > 0) {
-        candidates.push({ item, score: s * 0.7 });
+
+    String(text || '').split('\n').forEach((line) => {
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      const item = line.match(/^(\s*)([-*]|\d+\.)\s+(.*)$/);
+
+      if (!line.trim()) {
+        para = null;
+        closeLists();
+        return;
       }
+      if (heading) {
+        para = null;
+        closeLists();
+        frag.appendChild(el(`h${heading[1].length + 3}`, { class: 'mm-chatbot-heading' }, [renderInline(heading[2])]));
+        return;
+      }
+      if (item) {
+        para = null;
+        const depth = Math.floor(item[1].length / 2);
+        const ordered = /\d/.test(item[2]);
+        closeLists(depth);
+        let top = lists[lists.length - 1];
+        if (!top || top.depth < depth || (top.depth === depth && top.ordered !== ordered)) {
+          if (top && top.depth === depth) lists.pop();
+          const node = el(ordered ? 'ol' : 'ul');
+          const parent = lists[lists.length - 1];
+          (parent ? parent.node.lastElementChild || parent.node : frag).appendChild(node);
+          top = { node, depth, ordered };
+          lists.push(top);
+        }
+        top.node.appendChild(el('li', {}, [renderInline(item[3])]));
+        return;
+      }
+      closeLists();
+      if (para) para.appendChild(el('br'));
+      else {
+        para = el('p');
+        frag.appendChild(para);
+      }
+      para.appendChild(renderInline(line.trim()));
+    });
+    return frag;
+  }
+
+  // Same precedence as the site's motion toggle: the data-reduce-motion
+  // attribute it sets, then the stored choice, then the OS setting
+  function reducedMotion() {
+    const attr = document.documentElement.getAttribute('data-reduce-motion');
+    if (attr === 'true' || attr === 'false') return attr === 'true';
+    try {
+      const stored = localStorage.getItem('reduceMotion');
+      if (stored) return stored === 'true';
+    } catch (_) {
+      // Storage unavailable: fall through to the media query
     }
-    candidates.sort((a, b) => b.score - a.score);
-    // Conservative threshold to avoid mismatched answers
-    if (candidates.length && candidates[0].score >= 0.2) return candidates[0].item;
-    return null;
-  }
-
-  // Detect greetings for a friendlier first response
-  function isGreeting(text) {
-    const t = normalize(text);
-    return /^(hi|hello|hey|howdy|sup|yo|greetings|good\s*(morning|afternoon|evening))(\s|$)/i.test(t);
-  }
-
-  function formatHighlights(kb) {
-    const lines = [];
-    lines.push('Public-safe highlights:');
-    (kb.highlights || []).forEach((h) => lines.push(`- ${h}`));
-    return lines.join('\n');
-  }
-
-  function formatProjectCaseStudy(project) {
-    const cs = project?.caseStudy || {};
-    const lines = [];
-    lines.push(`${project?.name || 'Project'} (public-safe)`);
-    if (cs.outcome) lines.push(`Outcome: ${cs.outcome}`);
-    if (cs.approach) lines.push(`Approach: ${cs.approach}`);
-    if (cs.reliability) lines.push(`Reliability: ${cs.reliability}`);
-    if (Array.isArray(cs.stack) && cs.stack.length) lines.push(`Stack: ${cs.stack.join(', ')}`);
-    if (Array.isArray(cs.links) && cs.links.length) {
-      lines.push('Links:');
-      cs.links.forEach((l) => {
-        if (l?.label && l?.url) lines.push(`- ${l.label}: ${l.url}`);
-      });
-    }
-    lines.push('');
-    lines.push('If you want, ask: “Show skills”, “Show experience”, or “How do I contact Matome?”');
-    return lines.join('\n');
+    return Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
   }
 
-  function pickProject(text, kb) {
-    const t = normalize(text);
-    const projects = kb.projects || [];
-    if (!projects.length) return null;
+  // Reveals already-rendered content character by character, node by node.
+  // Returns { done, finish }: finish() shows the rest at once and resolves done.
+  function typewriterEffect(element, content, speed = 20) {
+    element.textContent = '';
+    element.appendChild(content);
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push({ node: walker.currentNode, text: walker.currentNode.nodeValue });
+    nodes.forEach((n) => { n.node.nodeValue = ''; });
+
+    let current = 0;
+    let index = 0;
+    let timer = null;
+    let resolve;
+    const done = new Promise((r) => { resolve = r; });
+
+    function finish() {
+      clearTimeout(timer);
+      nodes.forEach((n) => { n.node.nodeValue = n.text; });
+      resolve();
+    }
 
-    // Shortcut keyword routing
-    const keywordToName = [
-      { re: /\bocr\b|\bcomputer vision\b|\bdocument automation\b/, name: 'OCR document automation' },
-      { re: /\brag\b|\bretrieval\b|\bfaiss\b/, name: 'Retrieval assistant (RAG)' },
-      { re: /\bembedded\b|\bedge\b|\bstm32\b|\bsensor\b/, name: 'Embedded / edge foundations' },
-      { re: /\bnda\b|\bconfidential\b/, name: 'Confidential AI product build (NDA)' }
-    ];
-    for (const k of keywordToName) {
-      if (k.re.test(t)) {
-        const hit = projects.find((p) => normalize(p.name) === normalize(k.name));
-        if (hit) return hit;
+    function type() {
+      while (current < nodes.length && index >= nodes[current].text.length) {
+        current++;
+        index = 0;
+      }
+      if (current < nodes.length) {
+        const n = nodes[current];
+        n.node.nodeValue += n.text.charAt(index);
+        index++;
+        timer = setTimeout(type, speed);
+      } else {
+        resolve();
       }
     }
 
-    // Fuzzy match against project names
-    const qTokens = tokenize(text);
-    let best = null;
-    let bestScore = 0;
-    for (const p of projects) {
-      const s = overlapScore(qTokens, tokenize(p.name || ''));
-      if (s > bestScore) {
-        bestScore = s;
-        best = p;
-      }
+    if (speed > 0) type();
+    else finish();
+    return { done, finish };
+  }
+
+  // ---- Render queue: one message is drawn at a time ----
+  // Bot replies type out in order instead of interleaving. History is written
+  // when a message is queued, so skipping or clearing never loses or reorders
+  // it. onBusy(busy) lets the widget show its Skip control.
+
+  const renderQueue = { tasks: [], current: null, onBusy: null };
+
+  // run(instant) starts drawing a message and returns { done, finish }
+  function enqueueRender(run) {
+    renderQueue.tasks.push({ run, instant: false });
+    if (!renderQueue.current) runNextRender();
+  }
+
+  function runNextRender() {
+    const task = renderQueue.tasks.shift();
+    if (!task) {
+      renderQueue.current = null;
+      renderQueue.onBusy?.(false);
+      return;
     }
-    if (best && bestScore >= 0.25) return best;
-    return null;
+    const handle = task.run(task.instant || reducedMotion());
+    renderQueue.current = handle;
+    renderQueue.onBusy?.(true);
+    handle.done.then(runNextRender);
+  }
+
+  // Finishes the message being typed; anything already queued is drawn at once
+  function skipRendering() {
+    if (!renderQueue.current) return;
+    renderQueue.tasks.forEach((t) => { t.instant = true; });
+    renderQueue.current.finish();
+  }
+
+  // Drops queued messages (their history entries are handled by the caller)
+  function resetRenderQueue() {
+    renderQueue.tasks = [];
+    skipRendering();
+  }
+
+  function announce(text) {
+    if (!state.liveRegion) return;
+    state.liveRegion.textContent = '';
+    // A fresh text node in the next frame makes screen readers read repeats too
+    setTimeout(() => { state.liveRegion.textContent = text; }, 50);
+  }
+
+  // ---- Answer cards (out.card from the engine) ----
+  // Built from the KB objects the engine attaches, with the same element/text
+  // rules as renderMarkdown. Cards show every link, so no action row is added.
+
+  function linkRow(links, label = 'Links') {
+    const row = el('div', { class: 'mm-chatbot-actions', 'aria-label': label });
+    (links || []).forEach((l) => {
+      const href = safeHref(l?.url);
+      if (!l?.label || !href) return;
+      const link = linkNode(href, l.label);
+      link.className = 'mm-chatbot-action';
+      row.appendChild(link);
+    });
+    return row.childElementCount ? row : null;
+  }
+
+  function tagList(items) {
+    return el('ul', { class: 'mm-chatbot-tags' }, items.map((t) => el('li', { class: 'mm-chatbot-tag', text: t })));
+  }
+
+  function projectCard(card) {
+    const p = card.project || {};
+    const cs = p.caseStudy || {};
+    const node = el('div', { class: 'mm-chatbot-card' });
+    const title = el('div', { class: 'mm-chatbot-cardTitle' }, [el('strong', { text: p.name || 'Project' })]);
+    if (p.nda) title.appendChild(el('span', { class: 'mm-chatbot-cardNote', text: 'NDA · public-safe summary' }));
+    node.appendChild(title);
+
+    const facts = el('dl', { class: 'mm-chatbot-cardFacts' });
+    [['Outcome', cs.outcome], ['Approach', cs.approach], ['Reliability', cs.reliability]].forEach(([k, v]) => {
+      if (!v) return;
+      facts.appendChild(el('dt', { text: k }));
+      facts.appendChild(el('dd', { text: v }));
+    });
+    if (facts.childElementCount) node.appendChild(facts);
+    if (cs.stack?.length) node.appendChild(tagList(cs.stack));
+    const links = linkRow(cs.links, `${p.name || 'Project'} links`);
+    if (links) node.appendChild(links);
+    return node;
   }
 
-  function formatProjects(kb) {
-    const lines = [];
-    lines.push('Selected case studies (public-safe):');
-    (kb.projects || []).forEach((p) => {
-      const cs = p.caseStudy || {};
-      lines.push(`- ${p.name}: ${cs.outcome || ''}`.trim());
+  function certificationsCard(card) {
+    const node = el('div', { class: 'mm-chatbot-card' });
+    node.appendChild(el('div', { class: 'mm-chatbot-cardTitle' }, [el('strong', { text: 'Certifications' })]));
+    const list = el('ul', { class: 'mm-chatbot-badges' });
+    (card.certifications || []).forEach((c) => {
+      if (!c?.name) return;
+      const href = safeHref(c.proof);
+      const item = el('li', { class: 'mm-chatbot-badge', dataset: { verified: href ? 'true' : 'false' } }, [
+        el('span', { class: 'mm-chatbot-badgeName', text: c.name })
+      ]);
+      if (href) {
+        const verify = linkNode(href, 'Verify');
+        verify.setAttribute('aria-label', `Verify ${c.name}`);
+        item.appendChild(verify);
+      } else {
+        item.appendChild(el('span', { class: 'mm-chatbot-cardNote', text: 'No public link' }));
+      }
+      list.appendChild(item);
     });
-    lines.push('');
-    lines.push('Tip: ask about a specific project (e.g., “Tell me about OCR” or “Tell me about RAG”).');
-    return lines.join('\n');
+    node.appendChild(list);
+    const profiles = linkRow(card.profiles, 'Profiles');
+    if (profiles) node.appendChild(profiles);
+    return node;
+  }
+
+  function skillsCard(card) {
+    const node = el('div', { class: 'mm-chatbot-card' });
+    (card.groups || []).forEach((g) => {
+      if (!g?.items?.length) return;
+      node.appendChild(el('div', { class: 'mm-chatbot-cardTitle' }, [el('strong', { text: g.label })]));
+      node.appendChild(el('ul', { class: 'mm-chatbot-cardList' }, g.items.map((t) => el('li', { text: t }))));
+    });
+    return node;
+  }
+
+  const CARD_RENDERERS = {
+    project: projectCard,
+    certifications: certificationsCard,
+    skills: skillsCard
+  };
+
+  function renderCard(card) {
+    const render = CARD_RENDERERS[card?.type];
+    return render ? render(card) : null;
+  }
+
+  // ---- Transcript export and copy ----
+  // Built from state.messages (what history stores), not from the DOM, so the
+  // exported text is the full answer even when a card was shown instead.
+
+  const TRANSCRIPT_TITLE = 'Conversation with Matome’s portfolio assistant';
+
+  // Markdown subset → plain text; links keep their URL in brackets
+  function plainText(md) {
+    return String(md || '')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => {
+        const bare = url.replace(/^(mailto:|https?:\/\/)/, '');
+        return label === bare ? label : `${label} (${url.replace(/^mailto:/, '')})`;
+      })
+      .replace(/\*\*([^*]+)\*\*/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\*([^*\s][^*]*)\*/g, '$1')
+      .replace(/^#{1,3}\s+/gm, '');
+  }
+
+  function speaker(m) {
+    const who = m.role === 'user' ? 'You' : 'Assistant';
+    const time = m.timestamp ? new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+    return time ? `${who} · ${time}` : who;
   }
 
-  function formatSkills(kb) {
-    const s = kb.skills || {};
-    const lines = [];
-    lines.push('Skills summary:');
-    if (s.ocrComputerVision?.length) lines.push(`- OCR / Computer Vision: ${s.ocrComputerVision.join('; ')}`);
-    if (s.retrievalRag?.length) lines.push(`- Retrieval (RAG): ${s.retrievalRag.join('; ')}`);
-    if (s.backendServices?.length) lines.push(`- Backend / Services: ${s.backendServices.join('; ')}`);
-    if (s.shippingDiscipline?.length) lines.push(`- Shipping discipline: ${s.shippingDiscipline.join('; ')}`);
-    if (s.embeddedFundamentals?.length) lines.push(`- Embedded fundamentals: ${s.embeddedFundamentals.join('; ')}`);
-    return lines.join('\n');
+  function validActions(m) {
+    return (m.actions || []).filter((a) => a?.label && safeHref(a.url));
   }
 
-  function formatCredibility(kb) {
-    const lines = [];
-    lines.push('Credibility (public-safe):');
-    (kb.certifications || []).forEach((c) => {
-      if (c.proof) lines.push(`- ${c.name} (proof: ${c.proof})`);
-      else lines.push(`- ${c.name}`);
+  function transcriptMarkdown(messages) {
+    const out = [`# ${TRANSCRIPT_TITLE}`, '', `Exported ${new Date().toLocaleString()} from ${location.origin}${location.pathname}`];
+    messages.forEach((m) => {
+      // Our renderer breaks lines on a single newline; Markdown needs a hard break
+      out.push('', `### ${speaker(m)}`, (m.text || '').replace(/([^\n])\n(?=[^\n])/g, '$1  \n'));
+      if (m.meta) out.push('', `*${m.meta}*`);
+      const actions = validActions(m);
+      if (actions.length) out.push('', `Links: ${actions.map((a) => `[${a.label}](${a.url})`).join(' · ')}`);
     });
-    lines.push(`- GitHub: ${kb.links.github}`);
-    lines.push(`- LinkedIn: ${kb.links.linkedin}`);
-    lines.push(`- Credly: ${kb.links.credly}`);
-    return lines.join('\n');
+    return `${out.join('\n')}\n`;
   }
 
-  function credibilityActions(kb) {
-    const actions = [];
-    (kb.certifications || []).forEach((c) => {
-      if (c?.name && c?.proof) actions.push({ label: c.name, url: c.proof });
+  function transcriptText(messages) {
+    const out = [TRANSCRIPT_TITLE, `Exported ${new Date().toLocaleString()} from ${location.origin}${location.pathname}`];
+    messages.forEach((m) => {
+      out.push('', `${speaker(m)}:`, plainText(m.text));
+      if (m.meta) out.push(m.meta);
+      const actions = validActions(m);
+      if (actions.length) out.push(`Links: ${actions.map((a) => `${a.label} (${a.url.replace(/^mailto:/, '')})`).join(', ')}`);
     });
-    if (kb?.links?.credly) actions.push({ label: 'Credly', url: kb.links.credly });
-    if (kb?.links?.github) actions.push({ label: 'GitHub', url: kb.links.github });
-    if (kb?.links?.linkedin) actions.push({ label: 'LinkedIn', url: kb.links.linkedin });
-    return actions;
+    return `${out.join('\n')}\n`;
   }
 
-  function formatContact(kb) {
+  // Standalone page with print styles; the content is built as DOM nodes
+  // (renderMarkdown for answers) and serialized, so nothing is interpolated raw
+  function transcriptHtml(messages) {
+    const doc = el('main');
+    doc.appendChild(el('h1', { text: TRANSCRIPT_TITLE }));
+    doc.appendChild(el('p', { class: 'meta', text: `Exported ${new Date().toLocaleString()} from ${location.origin}${location.pathname}` }));
+    messages.forEach((m) => {
+      const section = el('section', { class: m.role === 'user' ? 'msg user' : 'msg bot' });
+      section.appendChild(el('h2', { text: speaker(m) }));
+      const body = el('div', { class: 'text' });
+      if (m.role === 'bot') body.appendChild(renderMarkdown(m.text));
+      else body.appendChild(el('p', { text: m.text || '' }));
+      section.appendChild(body);
+      if (m.meta) section.appendChild(el('p', { class: 'meta', text: m.meta }));
+      const actions = validActions(m);
+      if (actions.length) {
+        section.appendChild(el('ul', { class: 'links' }, actions.map((a) => el('li', {}, [el('a', { href: a.url, text: a.label }), document.createTextNode(` — ${a.url.replace(/^mailto:/, '')}`)]))));
+      }
+      doc.appendChild(section);
+    });
     return [
-      'Contact:',
-      `- Email: ${kb.links.email.replace('mailto:', '')}`,
-      `- LinkedIn: ${kb.links.linkedin}`,
-      `- GitHub: ${kb.links.github}`,
-      `- Credly: ${kb.links.credly}`
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${TRANSCRIPT_TITLE}</title>`,
+      '<style>',
+      'body{font:15px/1.55 system-ui,sans-serif;color:#0f172a;max-width:720px;margin:32px auto;padding:0 16px}',
+      'h1{font-size:1.4rem}h2{font-size:.85rem;margin:0 0 4px;color:#475569}',
+      '.msg{padding:10px 12px;margin:12px 0;border:1px solid #cbd5e1;border-radius:10px;break-inside:avoid}',
+      '.msg.user{background:#f0fdf4}.meta{font-size:.8rem;color:#475569;margin:6px 0 0}',
+      '.text p,.text ul,.text ol{margin:0 0 6px}a{color:#15803d}.links{font-size:.85rem;margin:6px 0 0}',
+      '@media print{body{margin:0}a{color:inherit}}',
+      '</style>',
+      '</head>',
+      `<body>${doc.outerHTML}</body>`,
+      '</html>',
+      ''
     ].join('\n');
   }
 
-  function contactActions(kb) {
-    const links = kb?.links || {};
-    const actions = [];
-    if (links.email) actions.push({ label: 'Email', url: links.email });
-    if (links.linkedin) actions.push({ label: 'LinkedIn', url: links.linkedin });
-    if (links.github) actions.push({ label: 'GitHub', url: links.github });
-    return actions;
-  }
+  const EXPORT_FORMATS = {
+    markdown: { label: 'Export as Markdown', ext: 'md', type: 'text/markdown', build: transcriptMarkdown },
+    text: { label: 'Export as plain text', ext: 'txt', type: 'text/plain', build: transcriptText },
+    html: { label: 'Export printable page (HTML)', ext: 'html', type: 'text/html', build: transcriptHtml }
+  };
 
-  function answerFromKb(text, kb) {
-    const safety = kb.safety || {};
+  function exportTranscript(format) {
+    const f = EXPORT_FORMATS[format];
+    if (!f || !state.messages.length) return;
+    const url = URL.createObjectURL(new Blob([f.build(state.messages)], { type: `${f.type};charset=utf-8` }));
+    const a = el('a', { href: url, download: `portfolio-assistant-${new Date().toISOString().slice(0, 10)}.${f.ext}` });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    if (isSensitivePrompt(text)) {
-      const actions = contactActions(kb);
-      if (isNdaProbe(text)) return { a: safety.refusals?.nda || 'Some work is under NDA.', source: 'Safety policy', actions };
-      return { a: safety.refusals?.sensitive || 'I can’t help with that.', source: 'Safety policy', actions };
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (_) {
+      // Clipboard API missing or denied: fall back to a selected textarea
+      const area = el('textarea', { class: 'sr-only', 'aria-hidden': 'true' });
+      area.value = text;
+      document.body.appendChild(area);
+      area.select();
+      let ok = false;
+      try {
+        ok = document.execCommand('copy');
+      } catch (e) {
+        ok = false;
+      }
+      area.remove();
+      return ok;
     }
+  }
 
-    const t = normalize(text);
+  // ---- Read aloud: Web Speech synthesis ----
+  // One answer is spoken at a time, in the voice of the language it was given in.
 
-    // Greetings
-    if (isGreeting(text)) {
-      return {
-        a: 'Hi! I can help with questions about Matome\'s skills, projects, experience, certifications, or contact info. What would you like to know?',
-        source: 'Greeting'
-      };
-    }
+  function speechSupported() {
+    return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+  }
 
-    // Specific project deep-dive (more insightful, still grounded)
-    const projectHit = pickProject(text, kb);
-    if (projectHit && /\b(project|case|study|work|tell|about|explain|details)\b/.test(t)) {
-      const links = projectHit?.caseStudy?.links || [];
-      const linkActions = Array.isArray(links)
-        ? links.filter((l) => l?.label && l?.url).map((l) => ({ label: l.label, url: l.url }))
-        : [];
-      return { a: formatProjectCaseStudy(projectHit), source: 'Projects (case study)', actions: linkActions.length ? linkActions : undefined };
-    }
+  // Domain-like link labels ("linkedin.com/in/…") are URLs too
+  const URL_LABEL_RE = /^(?:https?:\/\/)?[\w-]+(?:\.[\w-]+)+(?:\/\S*)?$/;
+
+  // Answer text as it should sound: no URLs, list markers or emphasis, and a
+  // sentence break after every line so lists aren't read as one run-on. A line
+  // left as a bare label ("LinkedIn:") once its URL is gone is dropped.
+  function spokenText(md) {
+    const CUT = '\u0000';
+    return String(md || '')
+      .replace(/\[([^\]]+)\]\([^)\s]+\)/g, (_, label) => (URL_LABEL_RE.test(label) ? CUT : label))
+      .replace(/\b(?:https?:\/\/|www\.)\S+/g, CUT)
+      .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, '')
+      .replace(/\*\*([^*]+)\*\*/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\*([^*\s][^*]*)\*/g, '$1')
+      .replace(/^#{1,3}\s+/gm, '')
+      .replace(/\s*→\s*/g, ', ')
+      .split('\n')
+      .map((line) => {
+        const text = line.replace(/\u0000/g, '').replace(/\s+/g, ' ').replace(/\s+([.,:;!?])/g, '$1').trim();
+        return line.includes(CUT) && text.endsWith(':') ? '' : text;
+      })
+      .filter((line) => line && !/^[^\p{L}\p{N}]*$/u.test(line))
+      .map((line) => (/[.!?:;]$/.test(line) ? line : `${line}.`))
+      .join(' ');
+  }
 
-    // Metrics / impact
-    if (/\b(metric|metrics|impact|results|outcome|kpi|proof)\b/.test(t)) {
-      return { a: formatHighlights(kb), source: 'Highlights' };
-    }
+  // On-device voices first: network voices send the text to the browser vendor
+  function voiceFor(locale) {
+    const voices = window.speechSynthesis.getVoices().slice().sort((a, b) => Number(Boolean(b.localService)) - Number(Boolean(a.localService)));
+    const base = locale.split('-')[0];
+    return voices.find((v) => v.lang === locale) || voices.find((v) => v.lang.split(/[-_]/)[0] === base) || null;
+  }
 
-    if (/\b(project|case study|case studies|work)\b/.test(t)) {
-      return { a: formatProjects(kb), source: 'Projects' };
-    }
-    if (/\b(skill|stack|tech|technology)\b/.test(t)) {
-      return { a: formatSkills(kb), source: 'Skills' };
-    }
-    if (/\b(cert|badge|credly|credential)\b/.test(t)) {
-      return { a: formatCredibility(kb), source: 'Certifications', actions: credibilityActions(kb) };
-    }
-    if (/\b(contact|email|reach|linkedin)\b/.test(t)) {
-      return { a: formatContact(kb), source: 'Contact', actions: contactActions(kb) };
-    }
-    if (/\b(experience|background|recent experience)\b/.test(t)) {
-      const lines = [];
-      lines.push('Experience (public-safe):');
-      (kb.experience || []).forEach((e) => {
-        if (!e?.area) return;
-        lines.push(`- ${e.area}`);
-        (e.summary || []).forEach((s) => lines.push(`  - ${s}`));
-      });
-      return { a: lines.join('\n'), source: 'Experience' };
-    }
-    if (/\b(education|university|uct|degree|graduat)\b/.test(t)) {
-      const edu = kb.education || {};
-      const line = edu.status
-        ? `${edu.institution || ''} — ${edu.field || ''}. ${edu.status}.`
-        : edu.approvedLine || '';
-      return { a: `Education: ${line}`.trim(), source: 'Education' };
-    }
-    if (/\b(role|roles|looking for|availability|remote|hybrid)\b/.test(t)) {
-      return { a: kb.profile?.workPolicy || safety.refusals?.unknown, source: 'Work policy' };
+  // Shows which message button is reading (null: none)
+  function markSpeaking(button) {
+    document.querySelectorAll('.mm-chatbot-listen[aria-pressed="true"]').forEach((b) => {
+      if (b === button) return;
+      b.setAttribute('aria-pressed', 'false');
+      b.textContent = 'Listen';
+    });
+    if (button) {
+      button.setAttribute('aria-pressed', 'true');
+      button.textContent = 'Stop';
     }
+  }
 
-    const faqHit = pickFaqAnswer(text, kb.faq || []);
-    if (faqHit) return { a: faqHit.a, source: 'FAQ' };
+  function stopSpeaking() {
+    if (!state.speech) return;
+    state.speech = null;
+    window.speechSynthesis.cancel();
+    markSpeaking(null);
+  }
 
-    return {
-      a: safety.refusals?.unknown || 'I don’t have that detail in my public portfolio notes.',
-      source: 'Safety policy',
-      actions: contactActions(kb)
+  // lang: the answer's language (out.lang); button: its Listen button, if any
+  function speak(text, lang, button = null) {
+    if (!speechSupported()) return;
+    const words = spokenText(text);
+    if (!words) return;
+    stopSpeaking();
+    const locale = (LANGUAGES[lang] || LANGUAGES[state.lang] || LANGUAGES.en).speech;
+    const utterance = new window.SpeechSynthesisUtterance(words);
+    utterance.lang = locale;
+    const voice = voiceFor(locale);
+    if (voice) utterance.voice = voice;
+    // cancel() ends the previous utterance late; only the current one may reset the button
+    utterance.onend = utterance.onerror = () => {
+      if (state.speech?.utterance !== utterance) return;
+      state.speech = null;
+      markSpeaking(null);
     };
+    state.speech = { utterance, button };
+    markSpeaking(button);
+    window.speechSynthesis.speak(utterance);
   }
 
-  function typewriterEffect(element, text, speed = 20) {
-    return new Promise((resolve) => {
-      let index = 0;
-      element.textContent = '';
-      
-      function type() {
-        if (index < text.length) {
-          element.textContent += text.charAt(index);
-          index++;
-          setTimeout(type, speed);
-        } else {
-          resolve();
-        }
-      }
-      
-      type();
+  function setSpeakAnswers(on) {
+    state.speakAnswers = on;
+    try {
+      if (on) localStorage.setItem(SPEAK_KEY, '1');
+      else localStorage.removeItem(SPEAK_KEY);
+    } catch (e) {
+      // Ignore storage errors
+    }
+    if (!on) stopSpeaking();
+  }
+
+  const CONFIDENCE_LABELS = { high: 'High confidence', medium: 'Medium confidence', low: 'Low confidence' };
+
+  // Meta line ("Source: …", then the answer's confidence); bot answers get a
+  // button that copies the answer as plain text followed by that line, and one
+  // that reads it aloud
+  function metaRow(role, text, meta, { lang, confidence } = {}) {
+    const row = el('div', { class: 'mm-chatbot-meta' }, [el('span', { text: meta })]);
+    if (role !== 'bot') return row;
+    if (typeof confidence === 'number') {
+      const level = confidenceLevel(confidence);
+      row.appendChild(el('span', {
+        class: 'mm-chatbot-confidence',
+        dataset: { level },
+        title: `Confidence: ${Math.round(confidence * 100)}%`,
+        text: CONFIDENCE_LABELS[level]
+      }));
+    }
+    const btn = el('button', { class: 'mm-chatbot-copy', type: 'button', 'aria-label': 'Copy answer with source', text: 'Copy' });
+    btn.addEventListener('click', async () => {
+      const ok = await copyText(`${plainText(text)}\n${meta}`);
+      btn.textContent = ok ? 'Copied' : 'Copy failed';
+      setTimeout(() => { btn.textContent = 'Copy'; }, 1500);
     });
+    row.appendChild(btn);
+    if (speechSupported()) {
+      const listen = el('button', {
+        class: 'mm-chatbot-listen',
+        type: 'button',
+        'aria-label': 'Read answer aloud',
+        'aria-pressed': 'false',
+        text: 'Listen'
+      });
+      listen.addEventListener('click', () => {
+        if (state.speech?.button === listen) stopSpeaking();
+        else speak(text, lang, listen);
+      });
+      row.appendChild(listen);
+    }
+    return row;
   }
 
-  function appendMessage(bodyEl, role, text, meta, actions, useTypewriter = false) {
+  // Draws one message. record holds the history entry's extra fields: its card
+  // (out.card) replaces the text in the bubble, its lang marks the language.
+  // Returns { done, finish } like typewriterEffect.
+  function renderMessage(bodyEl, role, text, meta, actions, useTypewriter = false, record = {}) {
     const msg = el('div', { class: 'mm-chatbot-msg', dataset: { role } });
+    if (record.lang) msg.setAttribute('lang', record.lang);
     const bubble = el('div', { class: 'mm-chatbot-bubble' });
-    
-    if (role === 'bot' && useTypewriter) {
-      bubble.textContent = ''; // Start empty for typewriter
-      msg.appendChild(bubble);
-      if (meta) msg.appendChild(el('div', { class: 'mm-chatbot-meta', text: meta }));
-      
-      bodyEl.appendChild(msg);
-      bodyEl.scrollTop = bodyEl.scrollHeight;
-      
-      // Typewriter effect
-      typewriterEffect(bubble, text).then(() => {
-        if (Array.isArray(actions) && actions.length) {
-          const row = el('div', { class: 'mm-chatbot-actions', 'aria-label': 'Quick actions' });
-          actions.slice(0, 3).forEach((a) => {
-            if (!a?.label || !a?.url) return;
-            const isMailto = String(a.url).startsWith('mailto:');
-            const link = el('a', {
-              class: 'mm-chatbot-action',
-              href: a.url,
-              ...(isMailto ? {} : { target: '_blank', rel: 'noopener noreferrer' }),
-              'aria-label': a.label,
-              text: a.label
-            });
-            row.appendChild(link);
-          });
-          msg.appendChild(row);
-          bodyEl.scrollTop = bodyEl.scrollHeight;
-        }
-      });
-    } else {
-      bubble.textContent = text;
-      msg.appendChild(bubble);
-      if (meta) msg.appendChild(el('div', { class: 'mm-chatbot-meta', text: meta }));
+    const card = role === 'bot' ? renderCard(record.card) : null;
 
+    function addActions() {
+      if (card) return;
       if (Array.isArray(actions) && actions.length) {
         const row = el('div', { class: 'mm-chatbot-actions', 'aria-label': 'Quick actions' });
+        // Restored history goes through here too, so every URL is checked again
         actions.slice(0, 3).forEach((a) => {
-          if (!a?.label || !a?.url) return;
-          const isMailto = String(a.url).startsWith('mailto:');
+          const href = safeHref(a?.url);
+          if (!a?.label || !href) return;
+          const isMailto = href.startsWith('mailto:');
           const link = el('a', {
             class: 'mm-chatbot-action',
-            href: a.url,
+            href,
             ...(isMailto ? {} : { target: '_blank', rel: 'noopener noreferrer' }),
             'aria-label': a.label,
             text: a.label
@@ -429,35 +641,316 @@
         });
         msg.appendChild(row);
       }
+    }
+
+    if (card) {
+      bubble.classList.add('mm-chatbot-bubble--card');
+      bubble.appendChild(card);
+      msg.appendChild(bubble);
+      if (meta) msg.appendChild(metaRow(role, text, meta, record));
+
+      bodyEl.appendChild(msg);
+      bodyEl.scrollTop = bodyEl.scrollHeight;
+    } else if (role === 'bot' && useTypewriter) {
+      bubble.textContent = ''; // Start empty for typewriter
+      bubble.setAttribute('aria-busy', 'true');
+      msg.appendChild(bubble);
+      if (meta) msg.appendChild(metaRow(role, text, meta, record));
+      
+      bodyEl.appendChild(msg);
+      bodyEl.scrollTop = bodyEl.scrollHeight;
+      
+      // Typewriter effect
+      const typing = typewriterEffect(bubble, renderMarkdown(text));
+      return {
+        done: typing.done.then(() => {
+          bubble.removeAttribute('aria-busy');
+          addActions();
+          bodyEl.scrollTop = bodyEl.scrollHeight;
+        }),
+        finish: typing.finish,
+        node: msg
+      };
+    } else {
+      if (role === 'bot') bubble.appendChild(renderMarkdown(text));
+      else bubble.textContent = text;
+      msg.appendChild(bubble);
+      if (meta) msg.appendChild(metaRow(role, text, meta, record));
+      addActions();
 
       bodyEl.appendChild(msg);
       bodyEl.scrollTop = bodyEl.scrollHeight;
     }
+    return { done: Promise.resolve(), finish() {}, node: msg };
+  }
+
+  // record: extra fields kept with the history entry (entity, card, actions, lang).
+  // Drawing goes through the render queue; bot replies are announced once shown.
+  function appendMessage(bodyEl, role, text, meta, actions, useTypewriter = false, record = {}) {
+    enqueueRender((instant) => {
+      const handle = renderMessage(bodyEl, role, text, meta, actions, useTypewriter && !instant, record);
+      if (role === 'bot') {
+        handle.done.then(() => {
+          if (!handle.node.isConnected) return;
+          announce(meta ? `${plainText(text)} ${meta}` : plainText(text));
+          if (state.speakAnswers && state.open) speak(text, record.lang, handle.node.querySelector('.mm-chatbot-listen'));
+        });
+      }
+      return handle;
+    });
 
     // Save to message history
-    state.messages.push({ role, text, meta, timestamp: Date.now() });
+    state.messages.push({ role, text, meta, ...record, timestamp: Date.now() });
     saveMessageHistory();
   }
 
+  // ---- History: versioned, expiring, optional ----
+  // Stored as { format, kbVersion, messages }. History from another format or
+  // KB is dropped instead of replayed (entities and cards would point at data
+  // that changed), and messages older than the retention window are purged on
+  // load. "Don't remember this conversation" keeps it in memory for the tab.
+
+  function retentionDays() {
+    const days = Number(state.kb?.meta?.historyRetentionDays);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  const kbHashes = new WeakMap();
+
+  // FNV-1a over the KB's JSON, so any edit to it counts, bumped version or not
+  function contentHash(kb) {
+    if (!kbHashes.has(kb)) {
+      const text = JSON.stringify(kb);
+      let h = 0x811c9dc5;
+      for (let i = 0; i < text.length; i += 1) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+      kbHashes.set(kb, (h >>> 0).toString(16).padStart(8, '0'));
+    }
+    return kbHashes.get(kb);
+  }
+
+  // "<meta.version>+<content hash>"
+  function kbVersion() {
+    if (!state.kb) return null;
+    return `${state.kb.meta?.version || '0'}+${contentHash(state.kb)}`;
+  }
+
   function saveMessageHistory() {
+    if (!state.remember) return;
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({
+        format: HISTORY_FORMAT,
+        kbVersion: kbVersion(),
+        messages: state.messages.slice(-HISTORY_LIMIT)
+      }));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+
+  function clearStoredHistory() {
     try {
-      localStorage.setItem('mm-chatbot-history', JSON.stringify(state.messages.slice(-50))); // Keep last 50 messages
+      localStorage.removeItem(HISTORY_KEY);
     } catch (e) {
       // Ignore storage errors
     }
   }
 
+  // Messages to restore; [] when there is no usable history
   function loadMessageHistory() {
+    if (!state.remember) return [];
+    let saved = null;
     try {
-      const saved = localStorage.getItem('mm-chatbot-history');
-      if (saved) {
-        state.messages = JSON.parse(saved);
-        return true;
-      }
+      saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || 'null');
+    } catch (e) {
+      // Unreadable history is discarded below
+    }
+    if (!saved) {
+      clearStoredHistory();
+      return [];
+    }
+    if (saved.format !== HISTORY_FORMAT || saved.kbVersion !== kbVersion() || !Array.isArray(saved.messages)) {
+      clearStoredHistory();
+      return [];
+    }
+    const cutoff = Date.now() - retentionDays() * DAY_MS;
+    const messages = saved.messages.filter((m) => m?.role && typeof m.text === 'string' && m.timestamp >= cutoff);
+    if (!messages.length) clearStoredHistory();
+    return messages;
+  }
+
+  function setRemember(remember) {
+    state.remember = remember;
+    try {
+      if (remember) sessionStorage.removeItem(FORGET_KEY);
+      else sessionStorage.setItem(FORGET_KEY, '1');
+    } catch (e) {
+      // Ignore storage errors
+    }
+    if (remember) saveMessageHistory();
+    else clearStoredHistory();
+  }
+
+  function historyNote() {
+    const days = retentionDays();
+    const where = state.remember
+      ? `Messages are stored on this device for ${days} day${days === 1 ? '' : 's'}.`
+      : 'This conversation is not saved and ends when you leave the page.';
+    return `${where} This assistant answers only from a local knowledge base and refuses sensitive or NDA-specific requests.`;
+  }
+
+  // ---- Language: the menu choice sets the voice locale and the default answer language ----
+
+  // Saved choice, else the first browser language the engine has a pack for
+  function initialLanguage() {
+    try {
+      const saved = localStorage.getItem(LANG_KEY);
+      if (LANGUAGES[saved]) return saved;
+    } catch (e) {
+      // Ignore storage errors
+    }
+    const browser = (navigator.languages || [navigator.language || ''])
+      .map((l) => String(l).toLowerCase().split('-')[0])
+      .find((l) => LANGUAGES[l]);
+    return browser || 'en';
+  }
+
+  function setLanguage(lang) {
+    state.lang = LANGUAGES[lang] ? lang : 'en';
+    try {
+      localStorage.setItem(LANG_KEY, state.lang);
     } catch (e) {
-      // Ignore parse errors
+      // Ignore storage errors
+    }
+    if (state.voiceRecognition) state.voiceRecognition.lang = LANGUAGES[state.lang].speech;
+  }
+
+  function greetingText() {
+    return state.kb?.locales?.[state.lang]?.greeting || GREETING;
+  }
+
+  // ---- Page topic: the case study or post the widget is on ----
+  // Declared with data-chatbot-topic on <html>, else found from the page's URL.
+  // It is the conversation's topic until an answer sets one, so "what stack did
+  // it use?" on a case study is about that project.
+  function pageTopic() {
+    return state.kb ? pageEntity(state.kb, window.location.href, document.documentElement.dataset.chatbotTopic) : null;
+  }
+
+  // ---- Suggestions: from the last answer, the page section and what was asked ----
+
+  // Follow-ups about the project the last answer (or the page) is about
+  function projectSuggestions(name) {
+    return [
+      { label: 'Stack', value: `What stack did ${name} use?` },
+      { label: 'Links', value: `Links for ${name}` },
+      { label: 'Similar projects', value: `Projects similar to ${name}` }
+    ];
+  }
+
+  // section: the one the page's scrollspy marks current (data-section on <html>)
+  function sectionSuggestions(section) {
+    if (section === 'projects') {
+      return (state.kb?.projects || [])
+        .filter((p) => p?.name && !p.nda)
+        .slice(0, 3)
+        .map((p) => ({ label: p.name, value: `Tell me about ${p.name}` }));
+    }
+    if (section === 'certifications') {
+      return [
+        { label: 'Verifiable certifications', value: 'What certifications are publicly verifiable?' },
+        { label: 'Credly badges', value: 'Which badges does he hold?' }
+      ];
     }
-    return false;
+    return [];
+  }
+
+  // Most specific first, without duplicates or questions already asked
+  function suggestionsFor(section) {
+    const entity = dialogueContext(state.messages, pageTopic())?.entity;
+    const asked = new Set(state.messages.filter((m) => m.role === 'user').map((m) => normalize(m.text)));
+    const seen = new Set();
+    return [
+      ...(entity?.type === 'project' ? projectSuggestions(entity.name) : []),
+      ...sectionSuggestions(section),
+      ...DEFAULT_SUGGESTIONS
+    ].filter((s) => {
+      const key = normalize(s.value);
+      if (asked.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, MAX_SUGGESTIONS);
+  }
+
+  // ---- Public API: window.MMChatbot, deep links and "Ask the assistant" links ----
+  // Defined up front so pages can subscribe before the widget mounts; calls made
+  // earlier wait for it. ready never settles when the engine or KB is missing.
+  const API_EVENTS = ['answer'];
+  const ASK_PARAM = 'ask';
+  const CHAT_HASH_RE = /^#chat=(.*)$/;
+  const MAX_LINKED_QUESTION = 300;
+
+  const listeners = new Map(API_EVENTS.map((name) => [name, new Set()]));
+  let widgetMounted;
+  const ready = new Promise((resolve) => {
+    widgetMounted = resolve;
+  });
+
+  function emit(name, detail) {
+    listeners.get(name).forEach((fn) => {
+      try {
+        fn(detail);
+      } catch (_) {
+        // A page's listener must not break the widget
+      }
+    });
+  }
+
+  function listenersFor(name, fn) {
+    if (!listeners.has(name)) throw new TypeError(`MMChatbot: unknown event "${name}"`);
+    if (typeof fn !== 'function') throw new TypeError('MMChatbot: listener must be a function');
+    return listeners.get(name);
+  }
+
+  window.MMChatbot = Object.freeze({
+    ready: ready.then(() => undefined),
+    open: () => ready.then((w) => w.open()),
+    close: () => ready.then((w) => w.close()),
+    // Resolves with the 'answer' event's detail, or null when nothing was sent
+    // (empty question, or send: false to only pre-fill the input)
+    ask: (question, options) => ready.then((w) => w.ask(question, options)),
+    // Returns a function that removes the listener
+    on(name, fn) {
+      listenersFor(name, fn).add(fn);
+      return () => listeners.get(name).delete(fn);
+    },
+    off(name, fn) {
+      listenersFor(name, fn).delete(fn);
+    }
+  });
+
+  // Question from ?ask=… or #chat=…, removed from the address bar once read so
+  // a reload doesn't ask it again ('' when there is none)
+  function takeLinkedQuestion() {
+    let question = null;
+    try {
+      const url = new URL(window.location.href);
+      const hash = CHAT_HASH_RE.exec(url.hash);
+      if (url.searchParams.has(ASK_PARAM)) {
+        question = url.searchParams.get(ASK_PARAM);
+        url.searchParams.delete(ASK_PARAM);
+      } else if (hash) {
+        question = decodeURIComponent(hash[1].replace(/\+/g, ' '));
+        url.hash = '';
+      }
+      if (question === null) return '';
+      window.history.replaceState(window.history.state, '', url.href);
+    } catch (_) {
+      // Malformed escape (nothing is asked) or no History API (the link stays)
+    }
+    return (question || '').trim().slice(0, MAX_LINKED_QUESTION);
   }
 
   function focusables(root) {
@@ -494,28 +987,154 @@
     });
 
     const header = el('div', { class: 'mm-chatbot-header' });
+    const subtitle = el('span', { text: SUBTITLE });
+    const offlineBadge = el('span', { class: 'mm-chatbot-offline', text: 'Offline', hidden: '' });
     header.appendChild(el('div', { class: 'mm-chatbot-title' }, [
       el('div', { class: 'mm-chatbot-mark', text: 'MM' }),
       el('div', { class: 'mm-chatbot-titleText' }, [
         el('strong', { text: 'Assistant' }),
-        el('span', { text: 'Grounded in public notes only.' })
-      ])
+        subtitle
+      ]),
+      offlineBadge
     ]));
     const closeBtn = el('button', { class: 'mm-chatbot-close', type: 'button', 'aria-label': 'Close assistant' });
     closeBtn.textContent = 'Close';
-    header.appendChild(closeBtn);
+
+    // Conversation menu (export, history)
+    const menuBtn = el('button', {
+      class: 'mm-chatbot-menuBtn',
+      type: 'button',
+      'aria-label': 'Conversation options',
+      'aria-haspopup': 'menu',
+      'aria-expanded': 'false',
+      text: '⋯'
+    });
+    const menu = el('div', { class: 'mm-chatbot-menu', role: 'menu', 'aria-label': 'Conversation options', hidden: '' });
+    Object.entries(EXPORT_FORMATS).forEach(([format, f]) => {
+      const item = el('button', { class: 'mm-chatbot-menuItem', type: 'button', role: 'menuitem', tabindex: '-1', text: f.label });
+      item.addEventListener('click', () => {
+        setMenuOpen(false);
+        exportTranscript(format);
+      });
+      menu.appendChild(item);
+    });
+    menu.appendChild(el('div', { class: 'mm-chatbot-menuSep', role: 'separator' }));
+    const forgetItem = el('button', {
+      class: 'mm-chatbot-menuItem',
+      type: 'button',
+      role: 'menuitemcheckbox',
+      'aria-checked': state.remember ? 'false' : 'true',
+      tabindex: '-1',
+      text: 'Don’t remember this conversation'
+    });
+    forgetItem.addEventListener('click', () => {
+      setRemember(!state.remember);
+      forgetItem.setAttribute('aria-checked', state.remember ? 'false' : 'true');
+      disclaimer.textContent = historyNote();
+    });
+    const clearItem = el('button', { class: 'mm-chatbot-menuItem', type: 'button', role: 'menuitem', tabindex: '-1', text: 'Clear conversation' });
+    clearItem.addEventListener('click', () => {
+      setMenuOpen(false);
+      clearConversation();
+    });
+    menu.appendChild(forgetItem);
+    menu.appendChild(clearItem);
+    menu.appendChild(el('div', { class: 'mm-chatbot-menuSep', role: 'separator' }));
+    if (speechSupported()) {
+      const speakItem = el('button', {
+        class: 'mm-chatbot-menuItem',
+        type: 'button',
+        role: 'menuitemcheckbox',
+        'aria-checked': state.speakAnswers ? 'true' : 'false',
+        tabindex: '-1',
+        text: 'Speak answers'
+      });
+      speakItem.addEventListener('click', () => {
+        setSpeakAnswers(!state.speakAnswers);
+        speakItem.setAttribute('aria-checked', state.speakAnswers ? 'true' : 'false');
+      });
+      menu.appendChild(speakItem);
+    }
+    const languageGroup = el('div', { class: 'mm-chatbot-menuGroup', role: 'group', 'aria-label': 'Language' }, [
+      el('div', { class: 'mm-chatbot-menuLabel', 'aria-hidden': 'true', text: 'Language' })
+    ]);
+    Object.entries(LANGUAGES).forEach(([lang, pack]) => {
+      const item = el('button', {
+        class: 'mm-chatbot-menuItem',
+        type: 'button',
+        role: 'menuitemradio',
+        'aria-checked': lang === state.lang ? 'true' : 'false',
+        tabindex: '-1',
+        lang,
+        text: pack.name
+      });
+      item.addEventListener('click', () => {
+        setLanguage(lang);
+        languageGroup.querySelectorAll('[role="menuitemradio"]').forEach((n) => {
+          n.setAttribute('aria-checked', n === item ? 'true' : 'false');
+        });
+        input.setAttribute('lang', state.lang);
+      });
+      languageGroup.appendChild(item);
+    });
+    menu.appendChild(languageGroup);
+    header.appendChild(el('div', { class: 'mm-chatbot-headerActions' }, [menuBtn, menu, closeBtn]));
+
+    function setMenuOpen(open, focusButton = true) {
+      menu.hidden = !open;
+      menuBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+      if (open) menu.querySelector('[role^="menuitem"]')?.focus();
+      else if (focusButton && menu.contains(document.activeElement)) menuBtn.focus();
+    }
+
+    menuBtn.addEventListener('click', () => setMenuOpen(menu.hidden));
+    menu.addEventListener('keydown', (e) => {
+      const items = Array.from(menu.querySelectorAll('[role^="menuitem"]'));
+      const i = items.indexOf(document.activeElement);
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        setMenuOpen(false);
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        items[(i + step + items.length) % items.length]?.focus();
+      } else if (e.key === 'Tab') {
+        setMenuOpen(false, false);
+      }
+    });
+    document.addEventListener('click', (e) => {
+      if (!menu.hidden && !menu.contains(e.target) && e.target !== menuBtn) setMenuOpen(false, false);
+    });
 
     const body = el('div', { class: 'mm-chatbot-body' });
+    // Completed answers are read out from here, not from the typing bubble
+    state.liveRegion = el('div', { class: 'sr-only', role: 'status', 'aria-live': 'polite', 'aria-atomic': 'true' });
     const suggestions = el('div', { class: 'mm-chatbot-suggestions', 'aria-label': 'Suggested questions' });
 
     const input = el('textarea', {
       class: 'mm-chatbot-input',
       rows: '2',
       placeholder: 'Ask about skills, projects, certifications, or contact…',
-      'aria-label': 'Message'
+      'aria-label': 'Message',
+      lang: state.lang,
+      disabled: '' // until the KB is in
     });
     const sendBtn = el('button', { class: 'mm-chatbot-send', type: 'button' });
     sendBtn.textContent = 'Send';
+
+    // Shown while an answer is typing out
+    const skipBtn = el('button', {
+      class: 'mm-chatbot-skip',
+      type: 'button',
+      'aria-label': 'Show the full answer now',
+      hidden: '',
+      text: 'Skip'
+    });
+    skipBtn.addEventListener('click', () => {
+      skipRendering();
+      input.focus();
+    });
+    renderQueue.onBusy = (busy) => { skipBtn.hidden = !busy; };
     
     // Voice input button
     const voiceBtn = el('button', { 
@@ -539,7 +1158,7 @@
       state.voiceRecognition = new SpeechRecognition();
       state.voiceRecognition.continuous = false;
       state.voiceRecognition.interimResults = false;
-      state.voiceRecognition.lang = 'en-US';
+      state.voiceRecognition.lang = LANGUAGES[state.lang].speech;
       
       state.voiceRecognition.onresult = (event) => {
         const transcript = event.results[0][0].transcript;
@@ -570,13 +1189,15 @@
       voiceBtn.style.display = 'none';
     }
 
+    const disclaimer = el('div', { class: 'mm-chatbot-disclaimer', text: historyNote() });
     const footer = el('div', { class: 'mm-chatbot-footer' }, [
-      el('div', { class: 'mm-chatbot-inputRow' }, [input, voiceBtn, sendBtn]),
-      el('div', { class: 'mm-chatbot-disclaimer', text: 'Messages are stored locally. This assistant answers only from a local knowledge base and refuses sensitive or NDA-specific requests.' })
+      el('div', { class: 'mm-chatbot-inputRow' }, [input, voiceBtn, skipBtn, sendBtn]),
+      disclaimer
     ]);
 
     panel.appendChild(header);
     panel.appendChild(body);
+    panel.appendChild(state.liveRegion);
     panel.appendChild(suggestions);
     panel.appendChild(footer);
 
@@ -584,8 +1205,67 @@
     document.body.appendChild(overlay);
     document.body.appendChild(panel);
 
+    // Runs once the KB is in: history, greeting and chips all depend on it
+    function start(kb) {
+      state.kb = kb;
+      getIndex(kb); // build the retrieval index up front
+      body.innerHTML = '';
+      panel.removeAttribute('aria-busy');
+      input.disabled = false;
+      disclaimer.textContent = historyNote();
+
+      // Restore message history (rendered as-is, not re-recorded) or greet
+      const restored = loadMessageHistory();
+      if (restored.length) {
+        state.messages = restored;
+        restored.forEach((m) => renderMessage(body, m.role, m.text, m.meta, m.actions, false, m));
+      } else {
+        greet();
+      }
+
+      seedSuggestions();
+      if (state.open) input.focus();
+    }
+
+    function showStatus(text, retry = false) {
+      body.innerHTML = '';
+      const status = el('div', { class: 'mm-chatbot-status', role: retry ? 'alert' : 'status', text });
+      if (retry) {
+        const again = el('button', { class: 'mm-chatbot-chip', type: 'button', text: 'Try again' });
+        again.addEventListener('click', () => whenLoaded().catch(() => {}));
+        status.appendChild(again);
+      }
+      body.appendChild(status);
+      if (retry && state.open) status.querySelector('button').focus();
+    }
+
+    // Pages without an embedded copy fetch the KB the first time the panel
+    // opens; a failed load can be retried
+    let loading = null;
+    function whenLoaded() {
+      if (!loading) {
+        panel.setAttribute('aria-busy', 'true');
+        showStatus('Loading the assistant…');
+        loading = loadKnowledge().then(start, (e) => {
+          loading = null;
+          panel.removeAttribute('aria-busy');
+          showStatus(isOffline()
+            ? 'You’re offline, and the assistant’s notes aren’t saved on this device yet. Try again once you’re connected.'
+            : 'The assistant’s notes couldn’t be loaded. Check your connection and try again.', true);
+          throw e;
+        });
+      }
+      return loading;
+    }
+
     function setOpen(open) {
+      if (open) whenLoaded().catch(() => {});
       state.open = open;
+      if (!open) {
+        setMenuOpen(false, false);
+        skipRendering();
+        stopSpeaking();
+      }
       panel.dataset.open = open ? 'true' : 'false';
       overlay.dataset.open = open ? 'true' : 'false';
       launcher.setAttribute('aria-expanded', open ? 'true' : 'false');
@@ -597,35 +1277,111 @@
       }
     }
 
+    // Resolves with the answer as the 'answer' event reports it (null on failure)
     function handleSend(text) {
       const trimmed = (text || '').trim();
-      if (!trimmed) return;
+      if (!trimmed || !state.kb) return Promise.resolve(null);
+      skipRendering(); // a new question finishes the answer still typing
+      stopSpeaking();
       appendMessage(body, 'user', trimmed);
       input.value = '';
 
-      const out = answerFromKb(trimmed, state.kb);
-      const meta = out.source ? `Source: ${out.source}` : null;
-      appendMessage(body, 'bot', out.a, meta, out.actions, true); // Use typewriter for bot messages
-    }
-    
-    function restoreHistory() {
-      if (loadMessageHistory() && state.messages.length > 0) {
-        body.innerHTML = '';
-        state.messages.forEach(msg => {
-          appendMessage(body, msg.role, msg.text, msg.meta, null, false);
+      // Chained so a slow provider can't let a later question answer first;
+      // the context is read once the previous answer is in history
+      state.pending = state.pending
+        .then(() => {
+          const context = dialogueContext(state.messages, pageTopic());
+          const provider = activeProvider();
+          const options = { lang: state.lang };
+          return provider
+            ? answerWithProvider(trimmed, state.kb, context, provider, options)
+            : answerFromKb(trimmed, state.kb, context, options);
+        })
+        .then((out) => {
+          const meta = out.source ? `Source: ${out.source}` : null;
+          const record = {};
+          if (out.entity) record.entity = out.entity;
+          if (out.card) record.card = out.card;
+          if (out.actions?.length) record.actions = out.actions;
+          if (out.lang) record.lang = out.lang;
+          if (typeof out.confidence === 'number') record.confidence = out.confidence;
+          appendMessage(body, 'bot', out.a, meta, out.actions, true, record); // Use typewriter for bot messages
+          seedSuggestions(out.suggestion, out.clarify);
+          const detail = {
+            question: trimmed,
+            answer: out.a,
+            source: out.source || null,
+            lang: out.lang || 'en',
+            entity: out.entity || null,
+            confidence: out.confidence ?? null
+          };
+          emit('answer', detail);
+          return detail;
+        })
+        .catch(() => {
+          // Fail silently (no logging by default).
+          return null;
         });
-      }
+      return state.pending;
     }
 
-    function seedSuggestions() {
-      const items = [
-        { label: 'What roles are you looking for?', value: 'What roles is Matome looking for?' },
-        { label: 'Show case studies', value: 'Show case studies' },
-        { label: 'Skills summary', value: 'Skills summary' },
-        { label: 'Certifications', value: 'What certifications are publicly verifiable?' },
-        { label: 'Contact', value: 'How do I contact Matome?' }
-      ];
+    // send: false only pre-fills the input, for the visitor to edit or send
+    function ask(question, { send = true } = {}) {
+      const text = String(question ?? '').trim().slice(0, MAX_LINKED_QUESTION);
+      if (!state.open) setOpen(true);
+      return whenLoaded().then(() => {
+        if (!text) return null;
+        if (!send) {
+          input.value = text;
+          input.focus();
+          return null;
+        }
+        return handleSend(text);
+      }, () => null);
+    }
+
+    function greet() {
+      appendMessage(body, 'bot', greetingText(), 'Grounded: local knowledge base', null, true, { lang: state.lang });
+    }
+
+    function clearConversation() {
+      if (!state.kb) return;
+      resetRenderQueue();
+      stopSpeaking();
+      state.messages = [];
+      clearStoredHistory();
+      body.innerHTML = '';
+      greet();
+      seedSuggestions();
+      input.focus();
+    }
+
+    let correction = null;
+    let options = [];
+
+    // next: spell-corrected question offered as a "Did you mean …?" chip;
+    // clarify: the readings a clarifying question offers ({ label, q }), shown first
+    function seedSuggestions(next = null, clarify = []) {
+      correction = next;
+      options = clarify || [];
+      renderSuggestions();
+    }
+
+    function renderSuggestions() {
+      const items = suggestionsFor(document.documentElement.dataset.section);
       suggestions.innerHTML = '';
+      options.forEach((o) => {
+        const b = el('button', { class: 'mm-chatbot-chip mm-chatbot-chip--clarify', type: 'button' });
+        b.textContent = o.label;
+        b.addEventListener('click', () => handleSend(o.q));
+        suggestions.appendChild(b);
+      });
+      if (correction) {
+        const b = el('button', { class: 'mm-chatbot-chip mm-chatbot-chip--suggest', type: 'button' });
+        b.textContent = `Did you mean “${correction}”?`;
+        b.addEventListener('click', () => handleSend(correction));
+        suggestions.appendChild(b);
+      }
       items.forEach((it) => {
         const b = el('button', { class: 'mm-chatbot-chip', type: 'button' });
         b.textContent = it.label;
@@ -634,10 +1390,18 @@
       });
     }
 
-    launcher.addEventListener('click', () => {
-      if (!state.kb) return;
-      setOpen(!state.open);
-    });
+    // Offline, answers come from the saved KB and network providers are skipped
+    function showNetworkState() {
+      const offline = isOffline();
+      offlineBadge.hidden = !offline;
+      subtitle.textContent = offline ? 'Offline: answering from saved notes.' : SUBTITLE;
+      panel.dataset.offline = offline ? 'true' : 'false';
+    }
+    window.addEventListener('online', showNetworkState);
+    window.addEventListener('offline', showNetworkState);
+    showNetworkState();
+
+    launcher.addEventListener('click', () => setOpen(!state.open));
     closeBtn.addEventListener('click', () => setOpen(false));
     overlay.addEventListener('click', () => setOpen(false));
 
@@ -668,42 +1432,54 @@
       }
     });
 
-    // Initial message
-    appendMessage(
-      body,
-      'bot',
-      'Hi. I can answer questions about skills, case studies, credibility, and contact using Matome’s public portfolio notes only.',
-      'Grounded: local knowledge base'
-    );
-
-    // Restore message history or show initial message
-    function restoreHistory() {
-      if (loadMessageHistory() && state.messages.length > 0) {
-        body.innerHTML = '';
-        state.messages.forEach(msg => {
-          appendMessage(body, msg.role, msg.text, msg.meta, null, false);
-        });
-        return true;
-      }
-      return false;
-    }
-    
-    if (!restoreHistory()) {
-      // Initial message already added above, but update it to use typewriter
-      const lastMsg = body.querySelector('.mm-chatbot-msg[data-role="bot"]:last-child');
-      if (lastMsg) {
-        const bubble = lastMsg.querySelector('.mm-chatbot-bubble');
-        if (bubble) {
-          const text = bubble.textContent;
-          bubble.textContent = '';
-          typewriterEffect(bubble, text);
-        }
-      }
+    // Section chips follow the scrollspy, unless a chip has focus
+    if ('MutationObserver' in window) {
+      new MutationObserver(() => {
+        if (state.kb && !suggestions.contains(document.activeElement)) renderSuggestions();
+      }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-section'] });
     }
 
-    seedSuggestions();
+    // "Ask the assistant about this" links carry their question in
+    // data-chatbot-ask; their href is the ?ask= deep link, followed as a
+    // normal link for modified clicks or where the widget isn't mounted
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest?.('[data-chatbot-ask]');
+      if (!link || e.defaultPrevented || e.button !== 0) return;
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      ask(link.dataset.chatbotAsk);
+    });
 
-    return { setOpen };
+    window.addEventListener('hashchange', () => {
+      const question = takeLinkedQuestion();
+      if (question) ask(question);
+    });
+
+    // Pages that embed the KB start at once; elsewhere it waits for the panel
+    const linked = takeLinkedQuestion();
+    if (linked) ask(linked);
+    else if (document.getElementById(EMBEDDED_KB_ID)) whenLoaded().catch(() => {});
+
+    return {
+      open: () => {
+        if (!state.open) setOpen(true);
+      },
+      close: () => {
+        if (state.open) setOpen(false);
+      },
+      ask
+    };
+  }
+
+  function isOffline() {
+    return navigator.onLine === false;
+  }
+
+  // The selected provider, unless it needs the network and there is none;
+  // providers that run in the browser set offline: true
+  function activeProvider() {
+    const provider = getProvider(document.documentElement.dataset.chatbotProvider);
+    return provider && (provider.offline || !isOffline()) ? provider : null;
   }
 
   function loadEmbeddedKnowledge() {
@@ -718,20 +1494,55 @@
     }
   }
 
+  function loadCachedKnowledge() {
+    try {
+      const raw = sessionStorage.getItem(KB_CACHE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
   async function loadKnowledge() {
     const embedded = loadEmbeddedKnowledge();
     if (embedded) return embedded;
+    const cached = loadCachedKnowledge();
+    if (cached) return cached;
 
-    const res = await fetch(KNOWLEDGE_URL, { cache: 'no-store' });
+    let res;
+    try {
+      res = await fetch(KNOWLEDGE_URL, { cache: 'no-store' });
+    } catch (e) {
+      // Offline before the service worker controls the page: use the copy it saved
+      res = 'caches' in window ? await caches.match(KNOWLEDGE_URL) : null;
+      if (!res) throw e;
+    }
     if (!res.ok) throw new Error('Failed to load knowledge base');
-    return await res.json();
+    const kb = await res.json();
+    try {
+      sessionStorage.setItem(KB_CACHE_KEY, JSON.stringify(kb));
+    } catch (_) {
+      // Storage unavailable or full: fetch again on the next page
+    }
+    return kb;
   }
 
-  // Init
-  document.addEventListener('DOMContentLoaded', async () => {
+  // Init: the widget mounts on every page; the KB is loaded by mountWidget
+  document.addEventListener('DOMContentLoaded', () => {
+    if (!answerFromKb) return;
     try {
-      state.kb = await loadKnowledge();
-      mountWidget();
+      try {
+        state.remember = sessionStorage.getItem(FORGET_KEY) !== '1';
+      } catch (_) {
+        // Storage unavailable: keep the default
+      }
+      state.lang = initialLanguage();
+      try {
+        state.speakAnswers = localStorage.getItem(SPEAK_KEY) === '1';
+      } catch (_) {
+        // Storage unavailable: keep the default
+      }
+      widgetMounted(mountWidget());
     } catch (e) {
       // Fail silently (no logging by default).
     }
@@ -466,6 +466,79 @@
         applyFilter();
     }
 
+    // ============================================
+    // LINK PREFETCH (case studies & blog posts)
+    // ============================================
+
+    // Visible links to these pages are handed to the service worker at idle
+    // time, so opening one doesn't wait on the network. Pages the worker
+    // precaches (precache-manifest.js, loaded before this file) are skipped:
+    // a new post is prefetched until the next manifest build takes it in.
+    const PREFETCH_PATH = /^\/(?:case-studies|blog)\/[^/]+\.html$/;
+
+    function precachedPaths() {
+        const assets = (window.PRECACHE_MANIFEST && window.PRECACHE_MANIFEST.assets) || [];
+        return new Set(assets.map(asset => asset.url));
+    }
+
+    // Not on Save-Data, cellular or 2G connections
+    function canPrefetch() {
+        const connection = navigator.connection;
+        if (!connection) return true;
+        if (connection.saveData || connection.type === 'cellular') return false;
+        return !/2g$/.test(connection.effectiveType || '');
+    }
+
+    function whenIdle(fn) {
+        if ('requestIdleCallback' in window) requestIdleCallback(fn, { timeout: 5000 });
+        else setTimeout(fn, 2000);
+    }
+
+    function initLinkPrefetch() {
+        if (!('serviceWorker' in navigator) || !('IntersectionObserver' in window)) return;
+        const precached = precachedPaths();
+        const links = Array.from(document.querySelectorAll('a[href]'))
+            .filter(a => a.origin === location.origin && PREFETCH_PATH.test(a.pathname) && !precached.has(a.pathname));
+        if (!links.length) return;
+
+        const queued = new Set();
+        const sent = new Set();
+        let scheduled = false;
+
+        function schedule() {
+            if (scheduled) return;
+            scheduled = true;
+            whenIdle(flush);
+        }
+
+        // Until a worker controls the page (a first visit), the queue waits
+        // for controllerchange
+        function flush() {
+            scheduled = false;
+            const controller = navigator.serviceWorker.controller;
+            if (!controller) return;
+            const urls = Array.from(queued).filter(url => !sent.has(url));
+            queued.clear();
+            if (!urls.length || !canPrefetch()) return;
+            urls.forEach(url => sent.add(url));
+            controller.postMessage({ type: 'PREFETCH', urls });
+        }
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (queued.size) schedule();
+        });
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                queued.add(entry.target.pathname);
+                schedule();
+            });
+        });
+        links.forEach(link => observer.observe(link));
+    }
+
     // ============================================
     // INITIALIZATION
     // ============================================
@@ -489,6 +562,7 @@
         initReducedMotion();
         initLazyLoading();
         initProjectFiltering();
+        initLinkPrefetch();
 
         // Remove loading class
         document.body.classList.remove('loading');
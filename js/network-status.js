@@ -0,0 +1,40 @@
+/* Network status banner for every page: a notice while the browser is offline
+   and a short "Back online" after. Pairs with styles/network-status.css.
+   offline.html leaves it out, being the offline notice itself. */
+
+(function () {
+  'use strict';
+
+  const BACK_ONLINE_MS = 3000;
+
+  function init() {
+    const banner = document.createElement('div');
+    banner.className = 'network-banner';
+    banner.setAttribute('role', 'status');
+    banner.hidden = true;
+    document.body.appendChild(banner);
+    let hideTimer = null;
+
+    function update(online, changed) {
+      clearTimeout(hideTimer);
+      banner.dataset.state = online ? 'online' : 'offline';
+      if (!online) {
+        banner.textContent = 'You’re offline. Saved pages and the assistant still work.';
+        banner.hidden = false;
+      } else if (changed) {
+        banner.textContent = 'Back online.';
+        banner.hidden = false;
+        hideTimer = setTimeout(() => { banner.hidden = true; }, BACK_ONLINE_MS);
+      } else {
+        banner.hidden = true;
+      }
+    }
+
+    window.addEventListener('online', () => update(true, true));
+    window.addEventListener('offline', () => update(false, true));
+    update(navigator.onLine !== false, false);
+  }
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+})();
@@ -0,0 +1,45 @@
+/* Generated by scripts/build-precache.js from the site tree. Do not edit:
+   run `node scripts/build-precache.js` after changing a file the site serves. */
+self.PRECACHE_MANIFEST = {
+  "version": "f1285baa4fa6",
+  "assets": [
+    { "url": "/.well-known/security.txt", "revision": "192318a640d0" },
+    { "url": "/404.html", "revision": "8bb5ebd8e065" },
+    { "url": "/blog/rag-guardrails.html", "revision": "64e10a8cee99" },
+    { "url": "/blog/shipping-discipline.html", "revision": "6439383c38ea" },
+    { "url": "/blog/validation-first-ocr.html", "revision": "2419ea4b52eb" },
+    { "url": "/case-studies/ocr-document-automation.html", "revision": "3432948a0854" },
+    { "url": "/case-studies/og-ocr.svg", "revision": "c218d7b92608" },
+    { "url": "/case-studies/og-rag.svg", "revision": "cdca27808a0e" },
+    { "url": "/case-studies/rag-assistant.html", "revision": "75fcf16236bb" },
+    { "url": "/chatbot/chatbot-engine.js", "revision": "d3861dfbaa83" },
+    { "url": "/chatbot/chatbot.css", "revision": "a53296aa5cd9" },
+    { "url": "/chatbot/chatbot.js", "revision": "2f5904b86199" },
+    { "url": "/chatbot/chatbot_knowledge.json", "revision": "20c18ff29a56" },
+    { "url": "/favicon.svg", "revision": "a16d4b6e0cfb" },
+    { "url": "/icons/skill-icons.svg", "revision": "5216c25170c5" },
+    { "url": "/images/featured-repos-banner.png", "revision": "888caea48c85" },
+    { "url": "/images/header-section-foreground.png", "revision": "a6c7b4f32f94" },
+    { "url": "/images/hero-background-1.png", "revision": "50721237a20d" },
+    { "url": "/images/hero-background-2.png", "revision": "27a668aa3040" },
+    { "url": "/images/hero-background-3.png", "revision": "90725bfb0501" },
+    { "url": "/images/proof-references-experience-foreground.png", "revision": "690621a6a734" },
+    { "url": "/index.html", "revision": "96d81d598b38" },
+    { "url": "/js/enhanced.js", "revision": "a3a0aad2ff20" },
+    { "url": "/js/network-status.js", "revision": "53f484f3c227" },
+    { "url": "/offline.html", "revision": "cd1f078c88c9" },
+    { "url": "/og-image.svg", "revision": "b7e0678181a5" },
+    { "url": "/og-resume.svg", "revision": "df45ac2122dc" },
+    { "url": "/privacy.html", "revision": "aeaa77d0df7f" },
+    { "url": "/profile.jpg", "revision": "681a946d6104" },
+    { "url": "/profile.webp", "revision": "68ce3715effd" },
+    { "url": "/resume.html", "revision": "3a449833eff8" },
+    { "url": "/resume.pdf", "revision": "53721a18f81b" },
+    { "url": "/robots.txt", "revision": "f89ee50e028d" },
+    { "url": "/site.webmanifest", "revision": "08eb8e844f51" },
+    { "url": "/sitemap.xml", "revision": "a4223b9a1862" },
+    { "url": "/styles/enhanced.css", "revision": "a415917c78fc" },
+    { "url": "/styles/network-status.css", "revision": "149dc81d9963" }
+  ],
+  "aliases": {"/":"/index.html"}
+};
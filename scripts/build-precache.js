@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/* Builds the service worker's precache manifest from the site tree.
+   Walks the files the site serves, hashes each one and writes
+   precache-manifest.js, which service-worker.js imports (index.html loads it
+   too, so js/enhanced.js doesn't prefetch precached pages). Each entry's
+   `revision` is its content hash and the manifest `version` hashes them all, so
+   the worker's cache names change with any edit and an update refetches only
+   the files whose revision changed.
+
+   Usage: node scripts/build-precache.js [--check]
+     --check  fail if precache-manifest.js is out of date instead of rewriting it */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'precache-manifest.js');
+
+// What the site serves, by extension; everything else (Markdown, CNAME, …) is repo-only
+const SITE_EXTENSIONS = new Set(['.html', '.css', '.js', '.json', '.svg', '.png', '.jpg', '.webp', '.ico', '.pdf', '.txt', '.xml', '.webmanifest']);
+// Development-only folders; dot-folders are skipped too, except .well-known
+const SKIP_DIRS = new Set(['docs', 'scripts', 'tests', 'node_modules']);
+// Served, but not worth holding offline: the worker itself, this output and dev-only chatbot files
+const SKIP_FILES = new Set([
+  'service-worker.js',
+  'precache-manifest.js',
+  'chatbot/chatbot_knowledge.schema.json',
+  'chatbot/chatbot-provider-mock.js'
+]);
+// URLs that serve another precached file: the worker fetches the file once and
+// stores the same response under both URLs
+const ALIASES = { '/': '/index.html' };
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+}
+
+function siteFiles(dir = ROOT) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : 1))
+    .flatMap((entry) => {
+      const file = path.join(dir, entry.name);
+      const rel = path.relative(ROOT, file).split(path.sep).join('/');
+      if (entry.isDirectory()) {
+        if (SKIP_DIRS.has(rel) || (entry.name.startsWith('.') && entry.name !== '.well-known')) return [];
+        return siteFiles(file);
+      }
+      if (!entry.isFile() || SKIP_FILES.has(rel) || !SITE_EXTENSIONS.has(path.extname(entry.name))) return [];
+      return [rel];
+    });
+}
+
+function buildManifest() {
+  const files = siteFiles().map((rel) => ({ rel, data: fs.readFileSync(path.join(ROOT, rel)) }));
+  const assets = files.map((f) => ({ url: `/${f.rel}`, revision: hash(f.data) }));
+  const urls = new Set(assets.map((a) => a.url));
+  const aliases = Object.fromEntries(Object.entries(ALIASES).filter(([, target]) => urls.has(target)));
+  const bytes = files.reduce((sum, f) => sum + f.data.length, 0);
+  return { version: hash(JSON.stringify({ assets, aliases })), assets, aliases, bytes };
+}
+
+// One asset per line, so a deploy's diff shows which files changed
+function render({ version, assets, aliases }) {
+  return [
+    '/* Generated by scripts/build-precache.js from the site tree. Do not edit:',
+    '   run `node scripts/build-precache.js` after changing a file the site serves. */',
+    'self.PRECACHE_MANIFEST = {',
+    `  "version": ${JSON.stringify(version)},`,
+    '  "assets": [',
+    assets.map((a) => `    { "url": ${JSON.stringify(a.url)}, "revision": ${JSON.stringify(a.revision)} }`).join(',\n'),
+    '  ],',
+    `  "aliases": ${JSON.stringify(aliases)}`,
+    '};',
+    ''
+  ].join('\n');
+}
+
+function summary({ assets, bytes, version }) {
+  return `${assets.length} URLs, ${Math.round(bytes / 1024)} KB, version ${version}`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const manifest = buildManifest();
+  const next = render(manifest);
+  const current = fs.existsSync(MANIFEST_PATH) ? fs.readFileSync(MANIFEST_PATH, 'utf8') : null;
+  if (check) {
+    if (next !== current) {
+      console.error('precache-manifest.js is out of date: run node scripts/build-precache.js');
+      process.exit(1);
+    }
+    console.log(`Precache manifest up to date (${summary(manifest)})`);
+    return;
+  }
+  fs.writeFileSync(MANIFEST_PATH, next);
+  console.log(`Wrote precache-manifest.js (${summary(manifest)})`);
+}
+
+main();
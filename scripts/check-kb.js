@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/* Knowledge base consistency checker.
+   Validates chatbot/chatbot_knowledge.json against its JSON Schema, checks the
+   copy embedded in index.html matches it, and checks the names, links and page
+   topics the chatbot engine relies on. Exits non-zero with the path of every
+   broken field.
+
+   Usage: node scripts/check-kb.js [--sync]
+     --sync  rewrite the embedded copy in index.html from the JSON file first */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const KB_PATH = path.join(ROOT, 'chatbot', 'chatbot_knowledge.json');
+const SCHEMA_PATH = path.join(ROOT, 'chatbot', 'chatbot_knowledge.schema.json');
+const engine = require('../chatbot/chatbot-engine.js');
+const INDEX_PATH = path.join(ROOT, 'index.html');
+const SITE_ORIGIN = 'https://www.matomembowene.co.za';
+const EMBEDDED_RE = /(<script type="application\/json" id="mm-chatbot-kb">\n)([\s\S]*?)(\n\s*<\/script>)/;
+
+const errors = [];
+
+function fail(where, message) {
+  errors.push(`${where}: ${message}`);
+}
+
+function rel(file) {
+  return path.relative(ROOT, file);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    fail(rel(file), `cannot parse (${e.message})`);
+    return null;
+  }
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+// Minimal draft-07 subset: the keywords chatbot_knowledge.schema.json uses.
+function validate(value, schema, where, root) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((o, k) => o?.[k], root);
+    if (!target) return fail(where, `schema $ref ${schema.$ref} not found`);
+    return validate(value, target, where, root);
+  }
+
+  if (schema.anyOf) {
+    const before = errors.length;
+    const ok = schema.anyOf.some((option) => {
+      const mark = errors.length;
+      validate(value, option, where, root);
+      const passed = errors.length === mark;
+      errors.length = mark;
+      return passed;
+    });
+    errors.length = before;
+    if (!ok) fail(where, 'does not match any allowed shape');
+    return;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const ok = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!ok) return fail(where, `expected ${schema.type}, got ${actual}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(where, `must be one of ${schema.enum.join(', ')}`);
+
+  if ((actual === 'integer' || actual === 'number') && typeof schema.minimum === 'number' && value < schema.minimum) {
+    fail(where, `must be at least ${schema.minimum}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength && value.length < schema.minLength) fail(where, 'must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(where, `does not match ${schema.pattern}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) fail(where, `needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((v, i) => validate(v, schema.items, `${where}[${i}]`, root));
+  }
+
+  if (actual === 'object') {
+    const props = schema.properties || {};
+    (schema.required || []).forEach((k) => {
+      if (!(k in value)) fail(`${where}.${k}`, 'is required');
+    });
+    Object.entries(value).forEach(([k, v]) => {
+      if (props[k]) return validate(v, props[k], `${where}.${k}`, root);
+      if (schema.additionalProperties === false) return fail(`${where}.${k}`, 'is not allowed by the schema');
+      if (typeof schema.additionalProperties === 'object') validate(v, schema.additionalProperties, `${where}.${k}`, root);
+    });
+  }
+}
+
+// Paths where two JSON values differ (at most `limit` of them)
+function diffJson(a, b, where, out, limit = 10) {
+  if (out.length >= limit) return out;
+  const ta = typeOf(a);
+  if (ta !== typeOf(b)) {
+    out.push(where);
+    return out;
+  }
+  if (ta === 'array' || ta === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.forEach((k) => diffJson(a[k], b[k], ta === 'array' ? `${where}[${k}]` : `${where}.${k}`, out, limit));
+    return out;
+  }
+  if (a !== b) out.push(where);
+  return out;
+}
+
+function checkEmbeddedCopy(kb, sync) {
+  let html = fs.readFileSync(INDEX_PATH, 'utf8');
+  const match = html.match(EMBEDDED_RE);
+  if (!match) return fail('index.html', 'embedded <script id="mm-chatbot-kb"> not found');
+
+  if (sync) {
+    html = html.replace(EMBEDDED_RE, (_, open, __, close) => `${open}${JSON.stringify(kb, null, 2)}${close}`);
+    fs.writeFileSync(INDEX_PATH, html);
+    console.log('Synced embedded knowledge base in index.html');
+    return;
+  }
+
+  let embedded;
+  try {
+    embedded = JSON.parse(match[2]);
+  } catch (e) {
+    return fail('index.html#mm-chatbot-kb', `cannot parse (${e.message})`);
+  }
+  diffJson(kb, embedded, '$', []).forEach((p) => {
+    fail(`index.html#mm-chatbot-kb ${p}`, 'differs from chatbot_knowledge.json (run with --sync)');
+  });
+}
+
+// Intents, aliases and keys the chatbot engine resolves at runtime
+function checkRouting(kb) {
+  const formatters = new Set(Object.keys(engine.FORMATTERS));
+  const intentIds = new Set();
+  (kb.intents || []).forEach((intent, i) => {
+    const where = `$.intents[${i}]`;
+    if (intentIds.has(intent.id)) fail(`${where}.id`, `duplicate id "${intent.id}"`);
+    intentIds.add(intent.id);
+    if (!formatters.has(intent.formatter)) {
+      fail(`${where}.formatter`, `"${intent.formatter}" is not a formatter in chatbot/chatbot-engine.js (known: ${Array.from(formatters).join(', ')})`);
+    }
+    (intent.patterns || []).forEach((p, j) => {
+      try {
+        new RegExp(p, 'iu');
+      } catch (e) {
+        fail(`${where}.patterns[${j}]`, `invalid regular expression (${e.message})`);
+      }
+    });
+    if (intent.formatter === 'list' && !Array.isArray(kb[intent.section])) {
+      fail(`${where}.section`, `"${intent.section}" is not a list section of the knowledge base`);
+    }
+    if (intent.formatter === 'text' && !intent.text) {
+      const value = (intent.field || '').split('.').reduce((o, k) => o?.[k], kb);
+      if (typeof value !== 'string' || !value) fail(`${where}.field`, `"${intent.field}" does not resolve to text in the knowledge base`);
+    }
+  });
+
+  const aliasOwner = new Map();
+  (kb.projects || []).forEach((p, i) => {
+    (p.aliases || []).forEach((alias, j) => {
+      const key = alias.toLowerCase();
+      if (aliasOwner.has(key)) fail(`$.projects[${i}].aliases[${j}]`, `"${alias}" also routes to "${aliasOwner.get(key)}"`);
+      else aliasOwner.set(key, p.name);
+    });
+  });
+
+  Object.keys(kb.skills || {}).forEach((key) => {
+    if (!engine.SKILL_LABELS[key]) fail(`$.skills.${key}`, 'has no label in SKILL_LABELS (chatbot/chatbot-engine.js), so it is never shown');
+  });
+
+  const categoryIds = new Set();
+  (kb.safety?.categories || []).forEach((c, i) => {
+    const where = `$.safety.categories[${i}]`;
+    if (categoryIds.has(c.id)) fail(`${where}.id`, `duplicate id "${c.id}"`);
+    categoryIds.add(c.id);
+    ['patterns', 'allow'].forEach((key) => (c[key] || []).forEach((p, j) => {
+      try {
+        new RegExp(p, 'iu');
+      } catch (e) {
+        fail(`${where}.${key}[${j}]`, `invalid regular expression (${e.message})`);
+      }
+    }));
+    if (!kb.safety.refusals?.[c.refusal]) fail(`${where}.refusal`, `"${c.refusal}" is not a key of $.safety.refusals`);
+    (c.actions || []).forEach((key, j) => {
+      if (!kb.links?.[key]) fail(`${where}.actions[${j}]`, `"${key}" is not a key of $.links`);
+    });
+  });
+
+  // Answer text the widget would refuse to show (answer-scope safety categories)
+  const shown = [];
+  (kb.faq || []).forEach((item, i) => shown.push([`$.faq[${i}].a`, item.a]));
+  (kb.intents || []).forEach((intent, i) => {
+    if (intent.text) shown.push([`$.intents[${i}].text`, intent.text]);
+  });
+  shown.forEach(([where, text]) => {
+    const blocked = typeof text === 'string' && engine.checkSafety(text, kb, 'answer');
+    if (blocked) fail(where, `is blocked by safety category "${blocked.id}", so it is never shown`);
+  });
+
+  const ids = new Set();
+  (kb.faq || []).forEach((item, i) => {
+    if (ids.has(item.id)) fail(`$.faq[${i}].id`, `duplicate id "${item.id}"`);
+    ids.add(item.id);
+  });
+}
+
+// Translations must name a language the engine has a pack for and keys the English KB defines
+function checkLocales(kb) {
+  const intentIds = new Set((kb.intents || []).map((i) => i.id));
+  const faqIds = new Set((kb.faq || []).map((f) => f.id));
+  Object.entries(kb.locales || {}).forEach(([lang, strings]) => {
+    const where = `$.locales.${lang}`;
+    if (lang === 'en' || !engine.LANGUAGES[lang]) {
+      fail(where, `"${lang}" is not a language in chatbot/chatbot-engine.js (known: ${Object.keys(engine.LANGUAGES).filter((l) => l !== 'en').join(', ')})`);
+    }
+    Object.keys(strings.refusals || {}).forEach((key) => {
+      if (!kb.safety?.refusals?.[key]) fail(`${where}.refusals.${key}`, `"${key}" is not a key of $.safety.refusals`);
+    });
+    Object.entries(strings.intents || {}).forEach(([id, t]) => {
+      if (!intentIds.has(id)) fail(`${where}.intents.${id}`, `"${id}" is not an intent id`);
+      if (t.text && engine.checkSafety(t.text, kb, 'answer')) fail(`${where}.intents.${id}.text`, 'is blocked by the safety policy, so it is never shown');
+    });
+    Object.entries(strings.faq || {}).forEach(([id, text]) => {
+      if (!faqIds.has(id)) fail(`${where}.faq.${id}`, `"${id}" is not a FAQ id`);
+      else if (engine.checkSafety(text, kb, 'answer')) fail(`${where}.faq.${id}`, 'is blocked by the safety policy, so it is never shown');
+    });
+  });
+}
+
+// Links into this site must point at files that exist in the tree, and at an
+// element id in that file when they carry a #fragment
+function checkLinks(kb) {
+  const links = [];
+  Object.entries(kb.links || {}).forEach(([k, url]) => links.push([`$.links.${k}`, url]));
+  (kb.certifications || []).forEach((c, i) => links.push([`$.certifications[${i}].proof`, c.proof]));
+  (kb.projects || []).forEach((p, i) => {
+    (p.caseStudy?.links || []).forEach((l, j) => links.push([`$.projects[${i}].caseStudy.links[${j}].url`, l.url]));
+  });
+  (kb.documents || []).forEach((d, i) => {
+    links.push([`$.documents[${i}].url`, d.url]);
+    (d.sections || []).forEach((s, j) => {
+      if (s.anchor) links.push([`$.documents[${i}].sections[${j}].anchor`, `${d.url}#${s.anchor}`]);
+    });
+  });
+
+  links.forEach(([where, url]) => {
+    if (typeof url !== 'string' || !url.startsWith(`${SITE_ORIGIN}/`)) return;
+    const { pathname, hash } = new URL(url);
+    const file = path.join(ROOT, decodeURI(pathname));
+    if (!fs.existsSync(file)) return fail(where, `${url} points at ${rel(file)}, which does not exist`);
+    const id = decodeURIComponent(hash.slice(1));
+    if (id && !fs.readFileSync(file, 'utf8').includes(`id="${id}"`)) fail(where, `${url} points at #${id}, which ${rel(file)} has no element for`);
+  });
+}
+
+// Topics pages declare for the chatbot (data-chatbot-topic) must name a KB entity
+function checkPageTopics(kb) {
+  const pages = ['.', 'blog', 'case-studies'].flatMap((dir) => fs.readdirSync(path.join(ROOT, dir))
+    .filter((f) => f.endsWith('.html'))
+    .map((f) => path.join(ROOT, dir, f)));
+  pages.forEach((file) => {
+    const topic = /data-chatbot-topic="([^"]*)"/.exec(fs.readFileSync(file, 'utf8'))?.[1];
+    if (topic === undefined) return;
+    const url = `${SITE_ORIGIN}/${path.relative(ROOT, file).split(path.sep).join('/')}`;
+    if (!engine.pageEntity(kb, url, topic)) {
+      fail(rel(file), `data-chatbot-topic "${topic}" is not a public project ("project:<slug>") or skill area ("skills:<key>")`);
+    }
+  });
+}
+
+function main() {
+  const sync = process.argv.includes('--sync');
+  const kb = readJson(KB_PATH);
+  const schema = readJson(SCHEMA_PATH);
+
+  if (kb && schema) {
+    validate(kb, schema, '$', schema);
+    checkEmbeddedCopy(kb, sync);
+    checkRouting(kb);
+    checkLocales(kb);
+    checkLinks(kb);
+    checkPageTopics(kb);
+  }
+
+  if (errors.length) {
+    console.error(`Knowledge base check failed (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+    errors.forEach((e) => console.error(`  ✗ ${e}`));
+    process.exit(1);
+  }
+  console.log('Knowledge base OK');
+}
+
+main();
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/* Extracts the site's long-form pages into the chatbot knowledge base.
+   Reads the headings, paragraphs and list items of blog/*.html and
+   case-studies/*.html and writes them to `documents` in
+   chatbot/chatbot_knowledge.json: one entry per page, one section per h2/h3
+   with the heading's id as its anchor. `documents` is generated and kept last
+   in the file, so the hand-edited sections above it are left as written.
+
+   Usage: node scripts/extract-documents.js [--check]
+     --check  fail if `documents` is out of date instead of rewriting it
+   Then update the copy embedded in index.html: node scripts/check-kb.js --sync */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const KB_PATH = path.join(ROOT, 'chatbot', 'chatbot_knowledge.json');
+const SITE_ORIGIN = 'https://www.matomembowene.co.za';
+
+// Directory → document kind
+const PAGE_DIRS = { blog: 'post', 'case-studies': 'case-study' };
+
+// Page chrome inside <article>/<main> that isn't content
+const SKIP_CLASS_RE = /\b(top|topbar|meta|cta|cta-card|tagrow|note)\b/;
+const SKIP_TAGS = new Set(['script', 'style', 'nav', 'footer', 'button', 'svg']);
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const BLOCK_TAGS = new Set(['h1', 'h2', 'h3', 'p', 'li']);
+const TOKEN_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:"[^"]*"|'[^']*'|[^>])*)>|([^<]+)/g;
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©',
+  mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', rarr: '→'
+};
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+    const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+function attribute(attrs, name) {
+  const m = new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(attrs);
+  return m ? decode(m[2] ?? m[3]) : null;
+}
+
+// { title, sections: [{ heading, anchor?, lines }], missingIds: [heading] }
+function parsePage(html) {
+  const rootTag = /<article[\s>]/i.test(html) ? 'article' : 'main';
+  const stack = []; // open elements: { tag, skip }
+  const page = { title: null, sections: [{ heading: null, lines: [] }], missingIds: [] };
+  let inRoot = false;
+  let block = null; // { tag, id, text, depth }
+
+  function closeBlock() {
+    const text = block.text.replace(/\s+/g, ' ').trim();
+    if (text && block.tag === 'h1') page.title = page.title || text;
+    else if (text && (block.tag === 'h2' || block.tag === 'h3')) {
+      if (!block.id) page.missingIds.push(text);
+      page.sections.push({ heading: text, anchor: block.id || undefined, lines: [] });
+    } else if (text) {
+      page.sections[page.sections.length - 1].lines.push(block.tag === 'li' ? `- ${text}` : text);
+    }
+    block = null;
+  }
+
+  for (const m of html.matchAll(TOKEN_RE)) {
+    const [token, closing, rawTag, attrs = '', text] = m;
+    if (token.startsWith('<!--')) continue;
+    if (text !== undefined) {
+      if (block && !stack[stack.length - 1]?.skip) block.text += decode(text);
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    if (VOID_TAGS.has(tag) || attrs.trim().endsWith('/')) {
+      if (block) block.text += ' ';
+      continue;
+    }
+    if (!closing) {
+      const parentSkip = Boolean(stack[stack.length - 1]?.skip);
+      const skip = parentSkip || SKIP_TAGS.has(tag) || SKIP_CLASS_RE.test(attribute(attrs, 'class') || '');
+      stack.push({ tag, skip });
+      if (!inRoot && tag === rootTag) inRoot = true;
+      else if (inRoot && !skip && !block && BLOCK_TAGS.has(tag)) {
+        block = { tag, id: attribute(attrs, 'id'), text: '', depth: stack.length };
+      }
+      continue;
+    }
+    // Closing tag: pop to the matching element (tolerates unclosed <p>/<li>)
+    const at = stack.map((e) => e.tag).lastIndexOf(tag);
+    if (at === -1) continue;
+    if (block && block.depth > at) closeBlock();
+    stack.length = at;
+    if (inRoot && tag === rootTag) break;
+  }
+  if (block) closeBlock();
+  return page;
+}
+
+function documentFor(file, kind) {
+  const rel = path.relative(ROOT, file).split(path.sep).join('/');
+  const page = parsePage(fs.readFileSync(file, 'utf8'));
+  const title = page.title || rel;
+  const sections = page.sections
+    .filter((s) => s.lines.length)
+    .map((s) => ({ heading: s.heading || title, anchor: s.anchor, text: s.lines.join('\n') }));
+  return { doc: { title, url: `${SITE_ORIGIN}/${rel}`, kind, sections }, rel, missingIds: page.missingIds };
+}
+
+function extractDocuments() {
+  const problems = [];
+  const documents = [];
+  Object.entries(PAGE_DIRS).forEach(([dir, kind]) => {
+    fs.readdirSync(path.join(ROOT, dir))
+      .filter((f) => f.endsWith('.html'))
+      .sort()
+      .forEach((f) => {
+        const { doc, rel, missingIds } = documentFor(path.join(ROOT, dir, f), kind);
+        missingIds.forEach((h) => problems.push(`${rel}: heading "${h}" has no id, so answers can't link to it`));
+        if (doc.sections.length) documents.push(doc);
+      });
+  });
+  return { documents, problems };
+}
+
+// Replaces (or appends) the trailing "documents" member without reformatting the rest
+function withDocuments(raw, documents) {
+  const kb = JSON.parse(raw);
+  const keys = Object.keys(kb);
+  if (keys.includes('documents') && keys[keys.length - 1] !== 'documents') {
+    throw new Error('"documents" must be the last member of chatbot_knowledge.json');
+  }
+  const at = raw.lastIndexOf(',\n  "documents": ');
+  const head = keys.includes('documents') ? raw.slice(0, at) : raw.replace(/\s*}\s*$/, '');
+  const body = JSON.stringify(documents, null, 2).replace(/\n/g, '\n  ');
+  return `${head},\n  "documents": ${body}\n}\n`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const { documents, problems } = extractDocuments();
+  if (problems.length) {
+    console.error(`Document extraction failed (${problems.length} problem${problems.length === 1 ? '' : 's'}):`);
+    problems.forEach((p) => console.error(`  ✗ ${p}`));
+    process.exit(1);
+  }
+
+  const raw = fs.readFileSync(KB_PATH, 'utf8');
+  const next = withDocuments(raw, documents);
+  const sections = documents.reduce((n, d) => n + d.sections.length, 0);
+  if (check) {
+    if (next !== raw) {
+      console.error('chatbot_knowledge.json documents are out of date: run node scripts/extract-documents.js');
+      process.exit(1);
+    }
+    console.log(`Documents up to date (${documents.length} pages, ${sections} sections)`);
+    return;
+  }
+  fs.writeFileSync(KB_PATH, next);
+  console.log(`Extracted ${documents.length} pages (${sections} sections) into chatbot/chatbot_knowledge.json`);
+}
+
+main();
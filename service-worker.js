@@ -1,61 +1,112 @@
 /* Enhanced service worker for a static portfolio.
-   Goals: faster repeat visits + basic offline resilience + stale-while-revalidate.
-   No analytics, no logging. */
-
-const CACHE_NAME = 'mm-portfolio-v6';
-const STATIC_CACHE = 'mm-portfolio-static-v6';
-
-const CORE_ASSETS = [
-  '/',
-  '/index.html',
-  '/404.html',
-  '/privacy.html',
-  '/site.webmanifest',
-  '/favicon.svg',
-  '/profile.jpg',
-  '/og-image.svg',
-  '/og-resume.svg',
-  '/robots.txt',
-  '/sitemap.xml',
-  '/.well-known/security.txt',
-  '/chatbot/chatbot.css',
-  '/chatbot/chatbot.js',
-  '/chatbot/chatbot_knowledge.json',
-  '/case-studies/ocr-document-automation.html',
-  '/case-studies/rag-assistant.html',
-  '/case-studies/og-ocr.svg',
-  '/case-studies/og-rag.svg'
-];
+   Goals: faster repeat visits + basic offline resilience.
+   No analytics, no logging.
+
+   The files to precache come from precache-manifest.js, generated by
+   scripts/build-precache.js with a content hash (`revision`) per file. Cache
+   names carry the manifest's version, so any edit installs a new worker; it
+   copies unchanged files over from the previous precache and fetches only the
+   ones whose revision changed. With Save-Data on, it precaches only what pages
+   need to render (HTML, styles, scripts, the KB); the rest, like the large
+   images, is cached by RUNTIME_ROUTES when it is used.
+
+   A new version installs in the background and waits: open pages keep the
+   version they loaded with until the visitor accepts the page's "Updated
+   content available" toast, which posts SKIP_WAITING.
+
+   Everything else the site serves is cached at runtime by RUNTIME_ROUTES. */
 
-// Static assets that rarely change
-const STATIC_ASSETS = [
-  '/favicon.svg',
-  '/og-image.svg',
-  '/og-resume.svg',
-  '/profile.jpg',
-  '/robots.txt',
-  '/sitemap.xml',
-  '/.well-known/security.txt',
-  '/case-studies/og-ocr.svg',
-  '/case-studies/og-rag.svg'
+importScripts('precache-manifest.js');
+
+const { version: PRECACHE_VERSION, assets: PRECACHE_ASSETS, aliases: PRECACHE_ALIASES = {} } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'mm-portfolio-';
+const PRECACHE = `${CACHE_PREFIX}precache-${PRECACHE_VERSION}`;
+const DAY = 24 * 60 * 60;
+
+// Runtime caching for same-origin files outside the precache: the first route
+// whose pattern matches the path picks the strategy, and unmatched files go
+// to the network uncached. Each route has its own cache, capped at maxEntries
+// (least recently used go first); entries older than maxAgeSeconds count as
+// missing.
+const RUNTIME_ROUTES = [
+  { name: 'pages', pattern: /(?:\/|\.html|\/[^/.]+)$/, strategy: 'network-first', maxEntries: 20, maxAgeSeconds: 7 * DAY },
+  { name: 'images', pattern: /\.(?:png|jpe?g|webp|avif|gif|svg|ico)$/i, strategy: 'cache-first', maxEntries: 60, maxAgeSeconds: 30 * DAY },
+  { name: 'assets', pattern: /\.(?:css|js)$/, strategy: 'stale-while-revalidate', maxEntries: 30, maxAgeSeconds: 7 * DAY },
+  { name: 'data', pattern: /\.(?:json|webmanifest|xml|txt)$/, strategy: 'network-first', maxEntries: 20, maxAgeSeconds: DAY }
 ];
+const runtimeCacheName = (route) => `${CACHE_PREFIX}runtime-${route.name}`;
+const RUNTIME_CACHES = new Set(RUNTIME_ROUTES.map(runtimeCacheName));
+
+// Pages the page asks for with PREFETCH go to the pages route's cache. A copy
+// prefetched this recently is served once without waiting on the network,
+// then replaced by the network copy.
+const PREFETCH_ROUTE = RUNTIME_ROUTES.find((r) => r.name === 'pages');
+const PREFETCH_FRESH_SECONDS = 5 * 60;
+const PREFETCH_LIMIT = 8; // URLs per message
+
+// Shown for any page that can't be fetched or found in the cache
+const OFFLINE_URL = '/offline.html';
+
+// Stored on each precached response, so the next version can tell whether it changed
+const REVISION_HEADER = 'X-Precache-Revision';
+// Stored on each runtime response, for maxAgeSeconds
+const CACHED_AT_HEADER = 'X-Cached-At';
+const PREFETCHED_HEADER = 'X-Prefetched';
+const PRECACHED = new Set([...PRECACHE_ASSETS.map((asset) => asset.url), ...Object.keys(PRECACHE_ALIASES)]);
+// What a Save-Data install still precaches
+const ESSENTIAL = /\.(?:html|css|js|json)$/;
+
+// An unchanged file is copied from an older precache; the rest are fetched past
+// the HTTP cache. The response is rebuilt so a redirect on the way isn't kept.
+async function precache(cache, { url, revision }, previous) {
+  for (const name of previous) {
+    const old = await (await caches.open(name)).match(url);
+    if (old && old.headers.get(REVISION_HEADER) === revision) return cache.put(url, old);
+  }
+  const fresh = await fetch(url, { cache: 'reload' });
+  if (!fresh.ok) throw new Error(`Precache of ${url} failed (${fresh.status})`);
+  const headers = new Headers(fresh.headers);
+  headers.set(REVISION_HEADER, revision);
+  return cache.put(url, new Response(await fresh.blob(), { status: fresh.status, statusText: fresh.statusText, headers }));
+}
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    Promise.all([
-      caches.open(CACHE_NAME).then((cache) => cache.addAll(CORE_ASSETS)),
-      caches.open(STATIC_CACHE).then((cache) => cache.addAll(STATIC_ASSETS))
-    ]).then(() => self.skipWaiting())
+    (async () => {
+      const previous = (await caches.keys()).filter((k) => k.startsWith(`${CACHE_PREFIX}precache-`));
+      const cache = await caches.open(PRECACHE);
+      const saveData = Boolean(self.navigator.connection?.saveData);
+      const assets = PRECACHE_ASSETS.filter((asset) => !saveData || ESSENTIAL.test(asset.url));
+      await Promise.all(assets.map((asset) => precache(cache, asset, previous)));
+      // An alias ("/") is the same response as its target, not a second download
+      await Promise.all(Object.entries(PRECACHE_ALIASES).map(async ([url, target]) => {
+        const res = await cache.match(target);
+        if (res) await cache.put(url, res);
+      }));
+    })()
   );
 });
 
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+  // Debug: reply to the message's port (or its sender) with what is cached
+  if (event.data?.type === 'CACHE_INVENTORY') {
+    event.waitUntil(cacheInventory().then((inventory) => (event.ports[0] || event.source)?.postMessage(inventory)));
+  }
+  if (event.data?.type === 'PREFETCH') event.waitUntil(prefetch(event.data.urls));
+  // offline.html: reply with the paths this worker would serve offline
+  if (event.data?.type === 'SAVED_PAGES') {
+    event.waitUntil(savedPages().then((pages) => (event.ports[0] || event.source)?.postMessage({ type: 'SAVED_PAGES', pages })));
+  }
+});
+
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     (async () => {
       const keys = await caches.keys();
       await Promise.all(
         keys.map((k) => {
-          if (k === CACHE_NAME || k === STATIC_CACHE) return Promise.resolve();
+          if (!k.startsWith(CACHE_PREFIX) || k === PRECACHE || RUNTIME_CACHES.has(k)) return Promise.resolve();
           return caches.delete(k);
         })
       );
@@ -68,96 +119,179 @@ function isHtmlRequest(req) {
   return req.mode === 'navigate' || (req.headers.get('accept') || '').includes('text/html');
 }
 
-function isStaticAsset(url) {
-  return STATIC_ASSETS.some(asset => url.pathname === asset);
+// The precached URL a request is for, ignoring the query (?ask= deep links)
+// and allowing extensionless page URLs (/resume for /resume.html)
+function precachedUrl(url) {
+  if (PRECACHED.has(url.pathname)) return url.pathname;
+  if (PRECACHED.has(`${url.pathname}.html`)) return `${url.pathname}.html`;
+  return null;
 }
 
-self.addEventListener('fetch', (event) => {
-  const req = event.request;
-  const url = new URL(req.url);
+// Pages get offline.html, which lists the pages that are cached; other files fail
+async function offlineFallback(req) {
+  const page = isHtmlRequest(req) && (await caches.match(OFFLINE_URL, { cacheName: PRECACHE }));
+  return page || Response.error();
+}
+
+// Runtime entries are stored without the query string: the site ignores it,
+// so ?ask= links and cache-busting variants share one entry
+function runtimeKey(url) {
+  return url.origin + url.pathname;
+}
+
+// Only complete, storable responses: no errors, partial (range) or opaque
+// responses, and nothing the server marked no-store
+function cacheable(res) {
+  if (res.status !== 200 || res.type === 'opaque') return false;
+  return !/\bno-store\b/i.test(res.headers.get('cache-control') || '');
+}
 
-  // Only handle same-origin requests.
-  if (url.origin !== self.location.origin) return;
-
-  // HTML: Stale-while-revalidate for faster perceived performance
-  if (isHtmlRequest(req)) {
-    event.respondWith(
-      (async () => {
-        const cache = await caches.open(CACHE_NAME);
-        const cached = await cache.match(req);
-        
-        // Start fetching fresh content in parallel
-        const fetchPromise = fetch(req).then((fresh) => {
-          if (fresh.ok) {
-            cache.put(req, fresh.clone());
-          }
-          return fresh;
-        }).catch(() => null);
-
-        // Return cached version immediately if available, otherwise wait for network
-        if (cached) {
-          fetchPromise.catch(() => {}); // Don't wait for fetch to fail
-          return cached;
-        }
-
-        // If no cache, wait for network with fallback
-        const fresh = await fetchPromise;
-        if (fresh) return fresh;
-        
-        // Final fallback
-        return (await cache.match('/index.html')) || (await cache.match('/404.html'));
-      })()
-    );
-    return;
+function ageSeconds(res) {
+  return (Date.now() - Number(res.headers.get(CACHED_AT_HEADER))) / 1000;
+}
+
+// A fresh entry, re-inserted so it counts as the most recently used
+async function readRuntime(route, key) {
+  const cache = await caches.open(runtimeCacheName(route));
+  const cached = await cache.match(key);
+  if (!cached) return null;
+  if (!(ageSeconds(cached) <= route.maxAgeSeconds)) {
+    await cache.delete(key);
+    return null;
+  }
+  await cache.put(key, cached.clone());
+  return cached;
+}
+
+// A full or unavailable cache only means there is no copy for next time
+async function writeRuntime(route, key, res, { prefetched = false } = {}) {
+  if (!cacheable(res)) return;
+  try {
+    const cache = await caches.open(runtimeCacheName(route));
+    const headers = new Headers(res.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    if (prefetched) headers.set(PREFETCHED_HEADER, '1');
+    await cache.put(key, new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers }));
+    await trim(cache, route.maxEntries);
+  } catch (_) {
+    // Nothing to do
+  }
+}
+
+// Cache keys list in insertion order and reads re-insert, so the first
+// keys are the least recently used
+async function trim(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((k) => cache.delete(k)));
+}
+
+// (route, request, cache key, fetch event) → Promise<Response>; a rejection
+// falls back to offlineFallback
+const STRATEGIES = {
+  'cache-first': async (route, req, key, event) => {
+    const cached = await readRuntime(route, key);
+    if (cached) return cached;
+    const fresh = await fetch(req);
+    event.waitUntil(writeRuntime(route, key, fresh.clone()));
+    return fresh;
+  },
+  'network-first': async (route, req, key, event) => {
+    const prefetched = await recentPrefetch(route, key);
+    if (prefetched) {
+      event.waitUntil(fetch(req).then((fresh) => writeRuntime(route, key, fresh)).catch(() => {}));
+      return prefetched;
+    }
+    try {
+      const fresh = await fetch(req);
+      event.waitUntil(writeRuntime(route, key, fresh.clone()));
+      return fresh;
+    } catch (e) {
+      const cached = await readRuntime(route, key);
+      if (cached) return cached;
+      throw e;
+    }
+  },
+  'stale-while-revalidate': async (route, req, key, event) => {
+    const cached = await readRuntime(route, key);
+    const update = fetch(req).then(async (fresh) => {
+      await writeRuntime(route, key, fresh.clone());
+      return fresh;
+    });
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+};
+
+async function recentPrefetch(route, key) {
+  const cached = await (await caches.open(runtimeCacheName(route))).match(key);
+  return cached?.headers.has(PREFETCHED_HEADER) && ageSeconds(cached) <= PREFETCH_FRESH_SECONDS ? cached : null;
+}
+
+// One at a time, skipping other origins, precached pages and recent prefetches
+async function prefetch(urls) {
+  for (const href of (Array.isArray(urls) ? urls : []).slice(0, PREFETCH_LIMIT)) {
+    const url = new URL(href, self.location.origin);
+    if (url.origin !== self.location.origin || precachedUrl(url) || !PREFETCH_ROUTE.pattern.test(url.pathname)) continue;
+    const key = runtimeKey(url);
+    if (await recentPrefetch(PREFETCH_ROUTE, key)) continue;
+    try {
+      await writeRuntime(PREFETCH_ROUTE, key, await fetch(url.href), { prefetched: true });
+    } catch (_) {
+      // Offline: the page is fetched when it is visited
+    }
   }
+}
 
-  // Static assets: Cache-first (they rarely change)
-  if (isStaticAsset(url)) {
-    event.respondWith(
-      (async () => {
-        const cache = await caches.open(STATIC_CACHE);
-        const cached = await cache.match(req);
-        if (cached) return cached;
-
-        try {
-          const fresh = await fetch(req);
-          if (fresh.ok) {
-            cache.put(req, fresh.clone());
-          }
-          return fresh;
-        } catch (_) {
-          return new Response('', { status: 504, statusText: 'Offline' });
-        }
-      })()
-    );
-    return;
+// Paths served offline: everything in the precache, and runtime entries still
+// within their route's maxAgeSeconds (readRuntime drops older ones)
+async function savedPages() {
+  const paths = new Set();
+  (await (await caches.open(PRECACHE)).keys()).forEach((req) => paths.add(new URL(req.url).pathname));
+  for (const route of RUNTIME_ROUTES) {
+    const cache = await caches.open(runtimeCacheName(route));
+    for (const req of await cache.keys()) {
+      const cached = await cache.match(req);
+      if (cached && ageSeconds(cached) <= route.maxAgeSeconds) paths.add(new URL(req.url).pathname);
+    }
   }
+  return [...paths];
+}
 
-  // Other assets: Stale-while-revalidate
+// Every cache this worker owns, with each runtime route's limits and entry ages
+async function cacheInventory() {
+  const names = (await caches.keys()).filter((k) => k.startsWith(CACHE_PREFIX));
+  const now = Date.now();
+  const list = await Promise.all(names.map(async (name) => {
+    const cache = await caches.open(name);
+    const route = RUNTIME_ROUTES.find((r) => runtimeCacheName(r) === name);
+    const entries = await Promise.all((await cache.keys()).map(async (req) => {
+      const cachedAt = Number((await cache.match(req))?.headers.get(CACHED_AT_HEADER));
+      return cachedAt ? { url: req.url, ageSeconds: Math.round((now - cachedAt) / 1000) } : { url: req.url };
+    }));
+    const limits = route ? { route: route.name, strategy: route.strategy, maxEntries: route.maxEntries, maxAgeSeconds: route.maxAgeSeconds } : {};
+    return { name, ...limits, count: entries.length, entries };
+  }));
+  return { type: 'CACHE_INVENTORY', version: PRECACHE_VERSION, caches: list };
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+
+  // Only handle same-origin GET requests.
+  if (req.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Precached files: cache-first; a new manifest version brings the updates.
+  // Manifest files a Save-Data install skipped go by route like the rest.
+  const key = precachedUrl(url);
   event.respondWith(
     (async () => {
-      const cache = await caches.open(CACHE_NAME);
-      const cached = await cache.match(req);
-      
-      // Start fetching fresh content
-      const fetchPromise = fetch(req).then((fresh) => {
-        if (fresh.ok) {
-          cache.put(req, fresh.clone());
-        }
-        return fresh;
-      }).catch(() => null);
-
-      // Return cached immediately if available
-      if (cached) {
-        fetchPromise.catch(() => {}); // Don't wait for fetch
-        return cached;
-      }
-
-      // Wait for network
-      const fresh = await fetchPromise;
-      if (fresh) return fresh;
-      
-      return new Response('', { status: 504, statusText: 'Offline' });
-    })()
+      const cached = key && (await caches.match(key, { cacheName: PRECACHE }));
+      if (cached) return cached;
+      // Runtime routes; range requests (media seeking) always go to the network
+      const route = !req.headers.has('range') && RUNTIME_ROUTES.find((r) => r.pattern.test(url.pathname));
+      return route ? STRATEGIES[route.strategy](route, req, runtimeKey(url), event) : fetch(req);
+    })().catch(() => offlineFallback(req))
   );
 });
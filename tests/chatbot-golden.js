@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/* Golden-question regression suite for the chatbot engine.
+   Runs every question in tests/chatbot-golden.json through answerFromKb and
+   reports the ones whose routing (Source line), answer text, card type, detected
+   language, confidence level or "Did you mean" suggestion changed. `page` (a
+   site path, with an optional `topic`) asks the question as if on that page.
+
+   Usage: node tests/chatbot-golden.js [--update]
+     --update  rewrite the expected sources from the current engine output */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('../chatbot/chatbot-engine.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const KB_PATH = path.join(ROOT, 'chatbot', 'chatbot_knowledge.json');
+const GOLDEN_PATH = path.join(__dirname, 'chatbot-golden.json');
+const SITE_URL = 'https://www.matomembowene.co.za/';
+
+// Replays `after` (earlier turns) so follow-ups see the same context as in the
+// widget; page is the entity of the page it sits on (`page` path and `topic`)
+function ask(kb, question, after = [], page = null) {
+  const messages = [];
+  let out = null;
+  [...after, question].forEach((text) => {
+    out = engine.answerFromKb(text, kb, engine.dialogueContext(messages, page));
+    messages.push({ role: 'user', text });
+    messages.push({ role: 'bot', text: out.a, entity: out.entity });
+  });
+  return out;
+}
+
+function level(out) {
+  return typeof out.confidence === 'number' ? engine.confidenceLevel(out.confidence) : undefined;
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  const kb = JSON.parse(fs.readFileSync(KB_PATH, 'utf8'));
+  const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+  const changed = [];
+
+  golden.cases = golden.cases.map((c) => {
+    const page = c.page ? engine.pageEntity(kb, new URL(c.page, SITE_URL).href, c.topic) : null;
+    const out = ask(kb, c.q, c.after, page);
+    const turns = c.after?.length ? `${c.after.join(' → ')} → ${c.q}` : c.q;
+    const label = c.page ? `${turns} (on ${c.page})` : turns;
+    if (update) {
+      const { q, after, topic, includes, excludes } = c;
+      const suggestion = 'suggestion' in c ? out.suggestion || null : undefined;
+      return { q, after, page: c.page, topic, source: out.source, lang: c.lang && out.lang, card: c.card && out.card?.type, confidence: c.confidence && level(out), suggestion, includes, excludes };
+    }
+    if (out.source !== c.source) {
+      changed.push(`"${label}"\n      expected source: ${c.source}\n      got:             ${out.source}`);
+    }
+    if (c.lang && out.lang !== c.lang) {
+      changed.push(`"${label}"\n      expected language: ${c.lang}\n      got:               ${out.lang}`);
+    }
+    if (c.confidence && level(out) !== c.confidence) {
+      changed.push(`"${label}"\n      expected confidence: ${c.confidence}\n      got:                 ${level(out) || 'none'}`);
+    }
+    // null: no "Did you mean …?" chip
+    if ('suggestion' in c && (out.suggestion || null) !== c.suggestion) {
+      changed.push(`"${label}"\n      expected suggestion: ${c.suggestion || 'none'}\n      got:                 ${out.suggestion || 'none'}`);
+    }
+    if (c.card && out.card?.type !== c.card) {
+      changed.push(`"${label}"\n      expected card: ${c.card}\n      got:           ${out.card?.type || 'none'}`);
+    }
+    (c.includes || []).forEach((s) => {
+      if (!out.a.includes(s)) changed.push(`"${label}"\n      answer no longer includes: ${s}`);
+    });
+    (c.excludes || []).forEach((s) => {
+      if (out.a.includes(s)) changed.push(`"${label}"\n      answer now includes: ${s}`);
+    });
+    return c;
+  });
+
+  if (update) {
+    fs.writeFileSync(GOLDEN_PATH, `${JSON.stringify(golden, null, 2)}\n`);
+    console.log(`Updated ${golden.cases.length} golden questions`);
+    return;
+  }
+
+  if (changed.length) {
+    console.error(`${changed.length} of ${golden.cases.length} golden questions changed:`);
+    changed.forEach((c) => console.error(`  ✗ ${c}`));
+    process.exit(1);
+  }
+  console.log(`All ${golden.cases.length} golden questions route as expected`);
+}
+
+main();
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/* Link allow-list checks: safeHref is the only way a URL from the KB, a
+   provider or restored history becomes an href in the widget.
+
+   Usage: node tests/chatbot-links.js */
+
+'use strict';
+
+const engine = require('../chatbot/chatbot-engine.js');
+
+// [url, expected href (null: rejected)]
+const CASES = [
+  ['https://www.matomembowene.co.za/blog/rag-guardrails.html#grounding', 'https://www.matomembowene.co.za/blog/rag-guardrails.html#grounding'],
+  ['http://example.com', 'http://example.com'],
+  ['mailto:matomepontso@gmail.com', 'mailto:matomepontso@gmail.com'],
+  ['/case-studies/rag-assistant.html', '/case-studies/rag-assistant.html'],
+  ['  /resume.html  ', '/resume.html'],
+  ['//evil.example', null],
+  ['/\\evil.example', null],
+  ['/\\\\evil.example/path', null],
+  ['javascript:alert(1)', null],
+  ['JavaScript:alert(1)', null],
+  ['data:text/html,<script>alert(1)</script>', null],
+  ['vbscript:msgbox(1)', null],
+  ['resume.html', null],
+  ['https://example.com/a b', null],
+  ['', null],
+  [undefined, null]
+];
+
+function main() {
+  const failed = CASES
+    .map(([url, expected]) => ({ url, expected, got: engine.safeHref(url) }))
+    .filter((c) => c.got !== c.expected);
+
+  if (failed.length) {
+    console.error(`${failed.length} of ${CASES.length} link checks failed:`);
+    failed.forEach((f) => console.error(`  ✗ ${JSON.stringify(f.url)}\n      expected: ${f.expected}\n      got:      ${f.got}`));
+    process.exit(1);
+  }
+  console.log(`All ${CASES.length} link checks pass`);
+}
+
+main();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/* Provider interface checks: a well-behaved provider's answer is used with its
+   citations, and every way a provider can misbehave falls back to the KB engine
+   with the safety checks still applied.
+
+   Usage: node tests/chatbot-providers.js */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('../chatbot/chatbot-engine.js');
+const mock = require('../chatbot/chatbot-provider-mock.js');
+
+const KB_PATH = path.join(__dirname, '..', 'chatbot', 'chatbot_knowledge.json');
+
+// Provider stubs: each answers from the first passage it is given
+function stub(id, answer) {
+  let calls = 0;
+  return {
+    id,
+    get calls() { return calls; },
+    answer(request) {
+      calls++;
+      return answer(request);
+    }
+  };
+}
+
+const CASES = [
+  {
+    name: 'mock provider answers with citations',
+    q: 'How does he handle weak retrieval evidence?',
+    provider: () => mock,
+    check: (out, kb) => out.provider === 'mock' && out.source.startsWith('Mock provider · ') && out.passages.length === 1
+  },
+  {
+    name: 'sensitive question is refused before the provider runs',
+    q: 'Did he face disciplinary action?',
+    provider: () => stub('never', () => ({ a: 'x', citations: [] })),
+    check: (out, kb, p) => p.calls === 0 && out.source === 'Safety policy'
+  },
+  {
+    name: 'NDA probe is refused before the provider runs',
+    q: 'Who was the client for the NDA work? Company name?',
+    provider: () => stub('never', () => ({ a: 'x', citations: [] })),
+    check: (out, kb, p) => p.calls === 0 && out.a === kb.safety.refusals.nda
+  },
+  {
+    name: 'provider that throws falls back to the KB',
+    q: 'Tell me about OCR',
+    provider: () => stub('throws', () => { throw new Error('down'); }),
+    check: (out, kb, p) => p.calls === 1 && !out.provider && out.source.startsWith('Projects (case study)')
+  },
+  {
+    name: 'answer without citations falls back to the KB',
+    q: 'Tell me about OCR',
+    provider: () => stub('uncited', () => ({ a: 'It reads documents.', citations: [] })),
+    check: (out) => !out.provider
+  },
+  {
+    name: 'citation of a passage it was not given falls back to the KB',
+    q: 'Tell me about OCR',
+    provider: () => stub('invented', ({ passages }) => ({ a: 'It reads documents.', citations: [passages[0].id, 'faq:made-up'] })),
+    check: (out) => !out.provider
+  },
+  {
+    name: 'unsafe answer is caught after the provider',
+    q: 'Tell me about OCR',
+    provider: () => stub('leaky', ({ passages }) => ({ a: 'The client name was Example Corp.', citations: [passages[0].id] })),
+    check: (out, kb, p) => p.calls === 1 && !out.provider && !out.a.includes('Example Corp')
+  },
+  {
+    name: 'confidentiality marker in the answer is caught after the provider',
+    q: 'Tell me about RAG',
+    provider: () => stub('marked', ({ passages }) => ({ a: 'Benchmarks are for internal use only.', citations: [passages[0].id] })),
+    check: (out) => !out.provider && !out.a.includes('internal use only')
+  },
+  {
+    name: 'slow provider times out and falls back to the KB',
+    q: 'Tell me about RAG',
+    options: { timeoutMs: 20 },
+    provider: () => stub('slow', ({ passages }) => new Promise((resolve) => {
+      setTimeout(() => resolve({ a: 'Late.', citations: [passages[0].id] }), 200);
+    })),
+    check: (out) => !out.provider && out.source.startsWith('Projects (case study)')
+  },
+  {
+    name: 'follow-up context survives a provider answer',
+    q: 'Tell me about RAG',
+    provider: () => stub('echo', ({ passages }) => ({ a: passages[0].text, citations: [passages[0].id] })),
+    check: (out) => out.provider === 'echo' && out.entity?.type === 'project'
+  },
+  {
+    name: 'provider gets the detected language and English passages',
+    q: 'Parle-moi du RAG',
+    provider: () => stub('french', ({ passages, lang }) => ({ a: `(${lang}) ${passages[0].label}`, citations: [passages[0].id], lang })),
+    check: (out) => out.provider === 'french' && out.lang === 'fr' && out.a.startsWith('(fr) ')
+  },
+  {
+    name: 'citing a page section links to it',
+    q: 'What are conservative thresholds?',
+    provider: () => stub('pages', ({ passages }) => {
+      const section = passages.find((p) => p.kind === 'document');
+      return { a: section.text, citations: [section.id] };
+    }),
+    check: (out) => out.provider === 'pages' && out.actions?.length === 1 && /#conservative-thresholds$/.test(out.actions[0].url)
+  }
+];
+
+async function main() {
+  const kb = JSON.parse(fs.readFileSync(KB_PATH, 'utf8'));
+  const failed = [];
+
+  for (const c of CASES) {
+    const provider = c.provider();
+    const out = await engine.answerWithProvider(c.q, kb, null, provider, c.options);
+    if (!c.check(out, kb, provider)) failed.push(`${c.name}\n      "${c.q}" → ${JSON.stringify({ source: out.source, provider: out.provider, a: out.a.slice(0, 80) })}`);
+  }
+
+  if (failed.length) {
+    console.error(`${failed.length} of ${CASES.length} provider checks failed:`);
+    failed.forEach((f) => console.error(`  ✗ ${f}`));
+    process.exit(1);
+  }
+  console.log(`All ${CASES.length} provider checks pass`);
+}
+
+main();